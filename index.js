@@ -42,10 +42,19 @@ const MongoStore = require('connect-mongo');
 
 // Módulos internos (nossa aplicação)
 const { connectToDatabase, getConnectionStatus } = require('./config/database');
-const { addUserToLocals } = require('./middleware/authMiddleware');
+const { addUserToLocals, authenticateBearer } = require('./middleware/authMiddleware');
+const { csrfProtection } = require('./middleware/csrfMiddleware');
+const { addCategoriesToLocals } = require('./middleware/categoryMiddleware');
+const { migrateCategories } = require('./scripts/migrateCategories');
+const { RETENTION_DAYS, scheduleTrashPurge } = require('./scripts/purgeTrash');
+const { describeRecurrence } = require('./utils/recurrence');
+const { SESSIONS_COLLECTION } = require('./utils/userSessions');
 const pagesRoutes = require('./routes/pages');
 const apiRoutes = require('./routes/api');
 const authRoutes = require('./routes/auth');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const adminRoutes = require('./routes/admin');
 
 // ============================================================================
 // ⚙️ CONFIGURAÇÕES E CONSTANTES
@@ -76,15 +85,35 @@ app.locals.formatDate = (date) => {
     return format(new Date(date), 'dd/MM/yyyy HH:mm');
 };
 
+// Vencimento sem hora definida é exibido só com o dia
+app.locals.formatDueDate = (date, hora) => {
+    if (!date) return '';
+    return format(new Date(date), hora ? 'dd/MM/yyyy HH:mm' : 'dd/MM/yyyy');
+};
+
+// Tamanho de anexo: "340 KB", "2.5 MB"
+app.locals.formatFileSize = (bytes) => (bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+app.locals.describeRecurrence = describeRecurrence;
+app.locals.trashRetentionDays = RETENTION_DAYS;
+
 // ============================================================================
 // 🔧 MIDDLEWARE DE CONFIGURAÇÃO
 // ============================================================================
 
+// Atrás de um proxy (nginx, Heroku...), req.ip só é o IP real do cliente com esta opção
+// (usado no limite de tentativas de login, ver utils/loginGuard.js)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 app.use(cors({
     origin: NODE_ENV === 'production' ? false : true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token']
 }));
 
 app.use(express.json({ limit: '10mb', strict: true }));
@@ -94,22 +123,36 @@ app.use(express.static(path.join(__dirname, 'public'), {
     etag: true
 }));
 
+// Tokens de acesso pessoal na API. Precisa vir antes da sessão: com um token válido,
+// o express-session nem é usado nesta requisição (ver middleware/authMiddleware.js)
+app.use('/api', authenticateBearer);
+
 app.use(session({
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     store: MongoStore.create({
         mongoUrl: process.env.MONGODB_URI,
-        collectionName: 'sessions'
+        collectionName: SESSIONS_COLLECTION
     }),
     cookie: {
-        maxAge: 1000 * 60 * 60 * 24
+        maxAge: 1000 * 60 * 60 * 24,
+        httpOnly: true,
+        // 'lax': o cookie não vai em POST/fetch vindos de outros sites (a proteção
+        // principal contra CSRF é o token, logo abaixo)
+        sameSite: 'lax'
     }
 }));
 
+// Token anti-CSRF nos formulários e nas chamadas fetch (ver middleware/csrfMiddleware.js)
+app.use(csrfProtection);
+
 // Middleware global que passa informações do usuário para todas as views
 app.use(addUserToLocals);
 
+// Middleware global que carrega as categorias do usuário (menu e formulários)
+app.use(addCategoriesToLocals);
+
 // ============================================================================
 // 📊 MIDDLEWARE DE LOGGING E MONITORAMENTO
 // ============================================================================
@@ -162,6 +205,9 @@ app.get('/health', (req, res) => {
 
 // Configuração das rotas
 app.use('/', pagesRoutes);
+app.use('/api/categorias', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
 app.use('/', authRoutes);
 
@@ -298,6 +344,13 @@ const startServer = async () => {
         // Tenta conectar com o banco de dados (opcional)
         const dbConnected = await connectToDatabase();
 
+        // Converte dados antigos (categorias em texto) para a coleção de categorias
+        if (dbConnected) {
+            await migrateCategories();
+            // Exclui de vez as tarefas que passaram do prazo na lixeira
+            scheduleTrashPurge();
+        }
+
         // Inicia o servidor
         const server = app.listen(PORT, () => {
             console.log('✅ Servidor iniciado com sucesso!');
@@ -1,14 +1,18 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const AccessToken = require('../models/accessToken');
+const { checkThrottle, registerFailure, blockedMessage } = require('../utils/loginGuard');
+
 // Este middleware é GLOBAL. Ele roda em todas as requisições para passar 
 // informações da sessão para as views (arquivos .ejs).
 const addUserToLocals = (req, res, next) => {
     // !! converte o valor para um booleano (true/false)
-    console.log('VERIFICANDO A SESSÃO:', req.session); //
-    
     // Passa os dados do usuário logado para as views
     res.locals.userIsLoggedIn = !!(req.session && req.session.userId); 
     res.locals.currentUserId = req.session.userId || null;
     res.locals.currentUserRole = req.session.userRole || null;
     res.locals.currentUserName = req.session.userName || null; // <-- O nome do usuário!
+    res.locals.emailNaoVerificado = req.session.emailVerificado === false; // Mostra o aviso para confirmar o e-mail
     
     next(); // Continua para a próxima função (seja outra middleware ou a rota)
 };
@@ -18,9 +22,42 @@ const isAuthenticated = (req, res, next) => {
     // Usa a variável que já foi definida pelo middleware global
     if (res.locals.userIsLoggedIn) {
         return next(); // Usuário logado? Pode passar.
-    } else {
-        res.redirect('/login'); // Não está logado? Vai para a página de login.
     }
+    // Na API, um redirecionamento para o login não serve para o cliente: responde 401
+    if (req.originalUrl.startsWith('/api')) {
+        return res.status(401).json({ success: false, message: 'Autenticação necessária.' });
+    }
+    res.redirect('/login'); // Não está logado? Vai para a página de login.
+};
+
+// Este middleware protege a área de administração. Vem DEPOIS do isAuthenticated
+// (ou do isApiAuthenticated): o usuário já está logado, falta ser admin.
+const isAdmin = (req, res, next) => {
+    if (req.session.userRole === 'admin') {
+        return next();
+    }
+    if (req.originalUrl.startsWith('/api')) {
+        return res.status(403).json({ success: false, message: 'Apenas administradores podem acessar esta área.' });
+    }
+    return res.status(403).render('403', {
+        title: 'Acesso Negado',
+        description: 'Apenas administradores podem acessar esta área.'
+    });
+};
+
+// Este middleware limita as contas que ainda não confirmaram o e-mail (ver /verificar-email):
+// elas usam as próprias tarefas, mas não compartilham listas, não enviam anexos e não importam
+// arquivos. Vem DEPOIS do isAuthenticated (ou do isApiAuthenticated).
+const isVerified = (req, res, next) => {
+    // Sessões abertas antes da confirmação de e-mail existir não têm o campo
+    if (req.session.emailVerificado !== false) {
+        return next();
+    }
+    const message = 'Confirme o seu e-mail para usar este recurso. Enviamos um link para a sua caixa de entrada.';
+    if (req.originalUrl.startsWith('/api')) {
+        return res.status(403).json({ success: false, message });
+    }
+    return res.status(403).render('403', { title: 'Confirme o seu e-mail', description: message });
 };
 
 // Este middleware é para "VISITANTES". Impede que usuários logados acessem páginas de login/cadastro.
@@ -32,8 +69,96 @@ const isGuest = (req, res, next) => {
     return next(); // É visitante? Pode passar.
 };
 
+// Versão do "SEGURANÇA" para a API. Em vez de redirecionar, responde com JSON 401,
+// que é o que um cliente (fetch, app mobile) consegue tratar.
+const isApiAuthenticated = (req, res, next) => {
+    if (res.locals.userIsLoggedIn) {
+        return next();
+    }
+    return res.status(401).json({ success: false, message: 'Autenticação necessária.' });
+};
+
+// Métodos que um token de escopo 'leitura' pode usar
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Este middleware aceita tokens de acesso pessoal (`Authorization: Bearer pat_...`, ver
+// models/accessToken.js) nas rotas /api. Ele roda ANTES do express-session (ver index.js):
+// com um token válido, preenche req.session só para esta requisição (nada é gravado e
+// nenhum cookie é enviado), e as rotas funcionam como com a sessão do navegador.
+// Tokens inválidos contam como tentativas de login erradas do IP (ver utils/loginGuard.js).
+const authenticateBearer = async (req, res, next) => {
+    const [tipo, token] = (req.get('Authorization') || '').split(' ');
+    if (!tipo || tipo.toLowerCase() !== 'bearer') {
+        return next(); // Sem token: segue com o cookie da sessão, como antes
+    }
+
+    const recusar = (status, message) => {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(status).json({ success: false, message });
+    };
+
+    try {
+        const tentativa = { ip: req.ip };
+        const limite = checkThrottle(tentativa);
+        if (limite) {
+            return recusar(429, blockedMessage(limite));
+        }
+
+        const registro = token ? await AccessToken.findValid(token) : null;
+        const user = registro ? await User.findById(registro.user).select('nome role ativo emailVerificado') : null;
+        if (!user || user.ativo === false) {
+            await registerFailure(tentativa, null);
+            return recusar(401, 'Token de acesso inválido ou expirado.');
+        }
+
+        if (registro.escopo === 'leitura' && !READ_METHODS.includes(req.method)) {
+            return recusar(403, 'Este token só permite leitura (escopo "leitura").');
+        }
+
+        await registro.touch();
+        req.session = {
+            userId: String(user._id),
+            userRole: user.role,
+            userName: user.nome,
+            emailVerificado: user.emailVerificado,
+            accessToken: { id: registro._id, escopo: registro.escopo }
+        };
+        next();
+    } catch (error) {
+        console.error('Erro ao conferir o token de acesso:', error);
+        res.status(500).json({ success: false, message: 'Erro ao conferir o token de acesso.' });
+    }
+};
+
+// Este middleware define QUAIS tarefas a requisição pode ver (req.taskScope).
+// Por padrão, apenas as do usuário logado. Com ?todos=true, um admin vê as de todos;
+// qualquer outro usuário recebe 403.
+const scopeTasksToUser = (req, res, next) => {
+    const wantsAllUsers = req.query.todos === 'true';
+
+    if (wantsAllUsers && req.session.userRole !== 'admin') {
+        if (req.originalUrl.startsWith('/api')) {
+            return res.status(403).json({ success: false, message: 'Apenas administradores podem ver as tarefas de todos os usuários.' });
+        }
+        return res.status(403).render('403', {
+            title: 'Acesso Negado',
+            description: 'Apenas administradores podem ver as tarefas de todos os usuários.'
+        });
+    }
+
+    // O ID fica salvo na sessão como texto; o aggregate não converte sozinho, por isso o ObjectId
+    req.taskScope = wantsAllUsers ? {} : { user: new mongoose.Types.ObjectId(req.session.userId) };
+    res.locals.allUsersMode = wantsAllUsers;
+    next();
+};
+
 module.exports = { 
     addUserToLocals, 
     isAuthenticated, 
-    isGuest 
+    isAdmin,
+    isVerified,
+    isApiAuthenticated,
+    authenticateBearer,
+    isGuest,
+    scopeTasksToUser
 };
\ No newline at end of file
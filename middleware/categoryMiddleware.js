@@ -0,0 +1,28 @@
+const Category = require('../models/category');
+
+// Este middleware é GLOBAL. Para usuários logados, carrega as categorias (listas)
+// deles em res.locals.userCategories, usadas no menu e no formulário de tarefas.
+// Se o usuário ainda não tiver nenhuma, as categorias padrão são criadas aqui.
+// As listas de outros usuários compartilhadas com ele ficam em res.locals.sharedCategories.
+const addCategoriesToLocals = async (req, res, next) => {
+    res.locals.userCategories = [];
+    res.locals.sharedCategories = [];
+
+    // Chamadas de API não renderizam o menu
+    if (!res.locals.userIsLoggedIn || req.path.startsWith('/api')) {
+        return next();
+    }
+
+    try {
+        res.locals.userCategories = await Category.ensureDefaults(req.session.userId);
+        res.locals.sharedCategories = await Category.sharedWith(req.session.userId);
+    } catch (error) {
+        // Sem banco de dados o menu apenas fica sem as categorias
+        console.warn('⚠️  Não foi possível carregar as categorias:', error.message);
+    }
+    next();
+};
+
+module.exports = {
+    addCategoriesToLocals
+};
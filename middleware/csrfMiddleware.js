@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// Métodos que só leem dados e por isso dispensam o token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_HEADER = 'X-CSRF-Token';
+const CSRF_FIELD = '_csrf';
+
+const sameToken = (enviado, esperado) => {
+    if (typeof enviado !== 'string' || !esperado) return false;
+    const a = Buffer.from(enviado);
+    const b = Buffer.from(esperado);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const ensureCsrfToken = (req, res) => {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    }
+    res.locals.csrfToken = req.session.csrfToken;
+};
+
+// Este middleware é GLOBAL e protege contra CSRF: um site de terceiros fazendo o navegador
+// enviar formulários ou chamadas fetch com o cookie da sessão do usuário.
+// Cada sessão recebe um token aleatório (res.locals.csrfToken). Os formulários o enviam no
+// campo _csrf e os scripts, no cabeçalho X-CSRF-Token (ver views/layout.ejs). POST, PUT,
+// DELETE... sem o token certo recebem 403.
+// Visitantes só ganham o token nas páginas com formulário (issueCsrfToken): criar o token
+// grava a sessão, e não queremos uma sessão para cada visita (saveUninitialized: false).
+// Requisições com token de acesso (Bearer, ver authenticateBearer) não usam o cookie e
+// por isso não precisam dele.
+const csrfProtection = (req, res, next) => {
+    if (!req.session || req.session.accessToken) {
+        return next();
+    }
+
+    if (req.session.userId || req.session.loginPendente || req.session.csrfToken) {
+        ensureCsrfToken(req, res);
+    } else {
+        res.locals.csrfToken = '';
+    }
+
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    // Uploads (multipart) só têm o corpo lido depois, pelo multer: para eles vale o cabeçalho
+    const enviado = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+    if (sameToken(enviado, req.session.csrfToken)) {
+        if (req.body) delete req.body[CSRF_FIELD];
+        return next();
+    }
+
+    const message = 'A página expirou ou o pedido não veio deste site. Recarregue a página e tente novamente.';
+    if (req.originalUrl.startsWith('/api')) {
+        return res.status(403).json({ success: false, message });
+    }
+    return res.status(403).render('403', { title: 'Pedido recusado', description: message });
+};
+
+// Este middleware vai nas páginas com formulário para visitantes (login, cadastro...):
+// garante o token que o POST do formulário vai conferir.
+const issueCsrfToken = (req, res, next) => {
+    if (req.session) ensureCsrfToken(req, res);
+    next();
+};
+
+module.exports = {
+    csrfProtection,
+    issueCsrfToken
+};
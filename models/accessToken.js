@@ -0,0 +1,104 @@
+/**
+ * 🔑 MODELO DE DADOS (SCHEMA) - TOKEN DE ACESSO PESSOAL
+ * =========================================
+ * * Para clientes que não usam o cookie da sessão (ex: o app mobile), a API aceita
+ * `Authorization: Bearer <token>` (ver authenticateBearer em middleware/authMiddleware.js).
+ * * Cada usuário cria e revoga os próprios tokens em /conta/tokens. O texto do token
+ * só é mostrado na criação; o banco guarda o hash SHA-256 e um prefixo para que o
+ * usuário reconheça o token na lista.
+ * * Escopos: 'leitura' (só GET) ou 'escrita' (tudo que o usuário pode fazer).
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ESCOPOS = ['leitura', 'escrita'];
+const MAX_TOKENS_PER_USER = 20;
+const TOKEN_PREFIX = 'pat_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const accessTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    nome: {
+        type: String,
+        required: [true, 'Dê um nome ao token (ex: "Celular").'],
+        trim: true,
+        maxlength: [60, 'O nome do token não pode ter mais de 60 caracteres.']
+    },
+    escopo: {
+        type: String,
+        enum: ESCOPOS,
+        default: 'leitura'
+    },
+    hash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // Início do token (ex: "pat_3f9a1c"), só para exibição
+    prefixo: {
+        type: String,
+        required: true
+    },
+    // null = não expira
+    expiraEm: {
+        type: Date,
+        default: null
+    },
+    ultimoUsoEm: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+accessTokenSchema.virtual('expirado').get(function() {
+    return !!this.expiraEm && this.expiraEm <= new Date();
+});
+
+/**
+ * Cria um token para o usuário. Devolve { token, registro }: `token` é o texto
+ * que vai no cabeçalho e não pode ser recuperado depois.
+ */
+accessTokenSchema.statics.issue = async function(userId, { nome, escopo, dias }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const registro = await this.create({
+        user: userId,
+        nome,
+        escopo,
+        hash: hashToken(token),
+        prefixo: token.slice(0, TOKEN_PREFIX.length + 6),
+        expiraEm: dias ? new Date(Date.now() + dias * 24 * 60 * 60 * 1000) : null
+    });
+    return { token, registro };
+};
+
+// Token válido (existe e não expirou), ou null
+accessTokenSchema.statics.findValid = async function(token) {
+    if (!String(token).startsWith(TOKEN_PREFIX)) return null;
+    const registro = await this.findOne({ hash: hashToken(token) });
+    return registro && !registro.expirado ? registro : null;
+};
+
+// Registra o uso, no máximo uma gravação por minuto por token
+accessTokenSchema.methods.touch = async function() {
+    if (this.ultimoUsoEm && Date.now() - this.ultimoUsoEm < 60 * 1000) return;
+    this.ultimoUsoEm = new Date();
+    await this.constructor.updateOne({ _id: this._id }, { $set: { ultimoUsoEm: this.ultimoUsoEm } });
+};
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+AccessToken.ESCOPOS = ESCOPOS;
+AccessToken.MAX_TOKENS_PER_USER = MAX_TOKENS_PER_USER;
+
+module.exports = AccessToken;
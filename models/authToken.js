@@ -0,0 +1,93 @@
+/**
+ * 🎟️ MODELO DE DADOS (SCHEMA) - TOKEN DE USO ÚNICO
+ * =========================================
+ * * Links enviados por e-mail (redefinição de senha, confirmação do e-mail) carregam
+ * um token aleatório. O banco guarda só o hash SHA-256 dele: quem tiver acesso ao
+ * banco não consegue montar um link válido.
+ * * Cada token vale para um único uso e até `expiraEm`; o índice TTL apaga do banco
+ * os vencidos. Emitir um token novo invalida os anteriores do mesmo tipo.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const TIPOS = ['redefinir-senha', 'verificar-email'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tipo: {
+        type: String,
+        enum: TIPOS,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiraEm: {
+        type: Date,
+        required: true
+    },
+    // Preenchido quando o link é usado
+    usadoEm: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// O MongoDB remove o documento assim que ele vence
+authTokenSchema.index({ expiraEm: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ user: 1, tipo: 1 });
+
+// Filtro dos tokens que ainda podem ser usados
+const validFilter = (tipo, token) => ({
+    tipo,
+    hash: hashToken(token),
+    usadoEm: null,
+    expiraEm: { $gt: new Date() }
+});
+
+/**
+ * Cria um token para o usuário, válido por `minutos`, e devolve o texto dele
+ * (só existe aqui: é o que vai no link).
+ */
+authTokenSchema.statics.issue = async function(userId, tipo, minutos) {
+    await this.deleteMany({ user: userId, tipo, usadoEm: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        user: userId,
+        tipo,
+        hash: hashToken(token),
+        expiraEm: new Date(Date.now() + minutos * 60 * 1000)
+    });
+    return token;
+};
+
+// Token válido (não usado e não vencido), sem consumi-lo. null se não houver
+authTokenSchema.statics.findValid = function(tipo, token) {
+    return this.findOne(validFilter(tipo, token));
+};
+
+/**
+ * Marca o token como usado e o devolve. É uma única operação no banco, então dois
+ * envios simultâneos do mesmo link não funcionam os dois. null se o token não valer.
+ */
+authTokenSchema.statics.consume = function(tipo, token) {
+    return this.findOneAndUpdate(validFilter(tipo, token), { $set: { usadoEm: new Date() } }, { new: true });
+};
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+AuthToken.TIPOS = TIPOS;
+
+module.exports = AuthToken;
@@ -0,0 +1,188 @@
+/**
+ * 🗂️ MODELO DE DADOS (SCHEMA) - CATEGORIA
+ * =========================================
+ * * Cada usuário tem as próprias categorias (listas) de tarefas.
+ * Elas substituem o antigo enum fixo ('Tarefa', 'Meu TCC', 'Trabalho', 'Carro')
+ * que existia no modelo de Tarefa. O `slug` é usado na URL da página /lista/:slug.
+ * * Uma lista pode ser compartilhada com outros usuários como leitor (só vê as
+ * tarefas) ou editor (também cria, altera e exclui). Ver utils/taskAccess.js.
+ */
+
+const mongoose = require('mongoose');
+
+// Categorias criadas para todo usuário novo. O campo "legado" é o valor do
+// antigo enum, usado pela migração para converter as tarefas existentes.
+// Os slugs batem com as rotas antigas (/tarefas, /tcc, /trabalho, /carro).
+const DEFAULT_CATEGORIES = [
+    { nome: 'Tarefa', slug: 'tarefas', cor: '#7B68EE', icone: 'fa-tasks', legado: 'Tarefa' },
+    { nome: 'Meu TCC', slug: 'tcc', cor: '#4facfe', icone: 'fa-graduation-cap', legado: 'Meu TCC' },
+    { nome: 'Trabalho', slug: 'trabalho', cor: '#f5576c', icone: 'fa-briefcase', legado: 'Trabalho' },
+    { nome: 'Carro', slug: 'carro', cor: '#43e97b', icone: 'fa-car', legado: 'Carro' }
+];
+
+/**
+ * Gera um slug para URL a partir do nome: "Manutenção do Carro" → "manutencao-do-carro"
+ */
+const slugify = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Níveis de compartilhamento de uma lista
+const NIVEIS_COMPARTILHAMENTO = ['leitor', 'editor'];
+
+const compartilhamentoSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    nivel: {
+        type: String,
+        enum: {
+            values: NIVEIS_COMPARTILHAMENTO,
+            message: 'Nível de compartilhamento inválido. Use: leitor ou editor.'
+        },
+        default: 'leitor'
+    }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+    nome: {
+        type: String,
+        required: [true, 'O nome da categoria é obrigatório.'],
+        trim: true,
+        maxlength: [40, 'O nome não pode ter mais de 40 caracteres.']
+    },
+    slug: {
+        type: String,
+        required: [true, 'O slug da categoria é obrigatório.'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'O slug deve conter apenas letras minúsculas, números e hífens.']
+    },
+    cor: {
+        type: String,
+        default: '#7B68EE',
+        match: [/^#[0-9a-fA-F]{6}$/, 'A cor deve estar no formato #RRGGBB.']
+    },
+    // Classe de ícone do Font Awesome, ex: "fa-car"
+    icone: {
+        type: String,
+        default: 'fa-list',
+        match: [/^fa-[a-z0-9-]+$/, 'O ícone deve ser uma classe do Font Awesome, ex: fa-car.']
+    },
+    // Ordem de exibição no menu
+    ordem: {
+        type: Number,
+        default: 0
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Outros usuários com acesso à lista (o dono não entra aqui)
+    compartilhamentos: {
+        type: [compartilhamentoSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// O mesmo usuário não pode ter dois slugs iguais
+categorySchema.index({ user: 1, slug: 1 }, { unique: true });
+// Listas compartilhadas com um usuário (menu e permissões)
+categorySchema.index({ 'compartilhamentos.user': 1 });
+
+// Se o slug não for informado, gera a partir do nome
+categorySchema.pre('validate', function(next) {
+    if (!this.slug && this.nome) {
+        this.slug = slugify(this.nome);
+    }
+    next();
+});
+
+/**
+ * Cria, uma a uma, as categorias padrão que o usuário ainda não tem (pelo slug).
+ * As que ele já tem ficam como estão.
+ */
+categorySchema.statics.seedDefaults = async function(userId) {
+    for (const [index, { legado, slug, ...categoria }] of DEFAULT_CATEGORIES.entries()) {
+        try {
+            await this.updateOne(
+                { user: userId, slug },
+                { $setOnInsert: { ...categoria, ordem: index } },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Duas requisições simultâneas podem tentar criar ao mesmo tempo; o índice único segura
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
+
+/**
+ * Garante que o usuário tenha categorias; cria as padrão se ele não tiver nenhuma.
+ * Retorna as categorias do usuário, na ordem do menu.
+ */
+categorySchema.statics.ensureDefaults = async function(userId) {
+    const existentes = await this.find({ user: userId }).sort({ ordem: 1, nome: 1 });
+    if (existentes.length > 0) {
+        return existentes;
+    }
+
+    await this.seedDefaults(userId);
+    return this.find({ user: userId }).sort({ ordem: 1, nome: 1 });
+};
+
+/**
+ * Encontra uma categoria do usuário a partir de um ID, slug ou nome
+ * (as importações antigas trazem o nome, ex: "Meu TCC"). Retorna null se não achar.
+ */
+categorySchema.statics.resolveForUser = async function(userId, valor) {
+    if (!valor) return null;
+
+    const texto = String(valor).trim();
+    if (mongoose.isValidObjectId(texto)) {
+        const porId = await this.findOne({ _id: texto, user: userId });
+        if (porId) return porId;
+    }
+
+    return this.findOne({
+        user: userId,
+        $or: [{ slug: slugify(texto) }, { nome: texto }]
+    });
+};
+
+/**
+ * Nível do usuário nesta lista: 'dono', 'editor', 'leitor' ou null (sem acesso).
+ * Admins são tratados à parte, nas regras de permissão (utils/taskAccess.js).
+ */
+categorySchema.methods.nivelDe = function(userId) {
+    const donoId = this.user._id || this.user;
+    if (String(donoId) === String(userId)) return 'dono';
+    const compartilhamento = (this.compartilhamentos || [])
+        .find(c => String(c.user._id || c.user) === String(userId));
+    return compartilhamento ? compartilhamento.nivel : null;
+};
+
+/**
+ * Listas de outros usuários compartilhadas com este, com o nome do dono.
+ */
+categorySchema.statics.sharedWith = function(userId) {
+    return this.find({ 'compartilhamentos.user': userId })
+        .sort({ nome: 1 })
+        .populate('user', 'nome');
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+Category.slugify = slugify;
+Category.NIVEIS_COMPARTILHAMENTO = NIVEIS_COMPARTILHAMENTO;
+
+module.exports = Category;
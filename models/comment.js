@@ -0,0 +1,61 @@
+/**
+ * 💬 MODELO DE DADOS (SCHEMA) - COMENTÁRIO DE TAREFA
+ * =========================================
+ * * A descrição da tarefa é curta (500 caracteres); a conversa sobre ela fica
+ * nos comentários, em uma coleção própria para não crescer o documento da tarefa.
+ * * O autor vem sempre da sessão. Só ele ou um admin podem editar/excluir
+ * (ver as rotas /api/tarefas/:id/comentarios). Os comentários são apagados
+ * junto com a tarefa quando ela é excluída definitivamente da lixeira.
+ */
+
+const mongoose = require('mongoose');
+
+const MAX_TEXT_LENGTH = 2000;
+
+const commentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    autor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    texto: {
+        type: String,
+        required: [true, 'O comentário não pode ficar vazio.'],
+        trim: true,
+        maxlength: [MAX_TEXT_LENGTH, `O comentário não pode ter mais de ${MAX_TEXT_LENGTH} caracteres.`]
+    },
+    // Preenchido quando o texto é alterado depois de publicado
+    editadoEm: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Comentários de uma tarefa, em ordem cronológica
+commentSchema.index({ task: 1, createdAt: 1 });
+
+/**
+ * Quantidade de comentários de cada tarefa: { "<idDaTarefa>": total }.
+ * Tarefas sem comentários não aparecem no resultado.
+ */
+commentSchema.statics.countByTask = async function(taskIds) {
+    if (taskIds.length === 0) return {};
+    const totais = await this.aggregate([
+        { $match: { task: { $in: taskIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+        { $group: { _id: '$task', total: { $sum: 1 } } }
+    ]);
+    return Object.fromEntries(totais.map(t => [String(t._id), t.total]));
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+Comment.MAX_TEXT_LENGTH = MAX_TEXT_LENGTH;
+
+module.exports = Comment;
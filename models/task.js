@@ -7,6 +7,134 @@
  */
 
 const mongoose = require('mongoose');
+const { endOfDay } = require('date-fns');
+const { nextOccurrence } = require('../utils/recurrence');
+const { normalizeTags, MAX_TAGS, MAX_TAG_LENGTH } = require('../utils/tags');
+const TaskRevision = require('./taskRevision');
+const Comment = require('./comment');
+const { MAX_ATTACHMENTS, removeFiles } = require('../utils/attachmentStorage');
+
+// Sub-schema de um item do checklist (subtarefa) dentro da tarefa
+const itemSchema = new mongoose.Schema({
+    texto: {
+        type: String,
+        required: [true, 'O texto do item é obrigatório.'],
+        trim: true,
+        maxlength: [200, 'O item não pode ter mais de 200 caracteres.']
+    },
+    concluido: {
+        type: Boolean,
+        default: false
+    },
+    // Ordem do item na lista (0, 1, 2...)
+    posicao: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Sub-schema de um arquivo anexado (o conteúdo fica no driver de utils/attachmentStorage.js)
+const anexoSchema = new mongoose.Schema({
+    // Nome original do arquivo, só para exibição e download
+    nome: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [200, 'O nome do arquivo não pode ter mais de 200 caracteres.']
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    // Em bytes
+    tamanho: {
+        type: Number,
+        required: true
+    },
+    // Onde o driver guardou o arquivo
+    chave: {
+        type: String,
+        required: true
+    },
+    enviadoPor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    // A chave é interna: o download é sempre por GET /api/tarefas/:id/anexos/:anexoId
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.chave;
+            return ret;
+        }
+    }
+});
+
+// Sub-schema da regra de recorrência (ver utils/recurrence.js)
+const recorrenciaSchema = new mongoose.Schema({
+    tipo: {
+        type: String,
+        enum: ['diaria', 'semanal', 'mensal', 'intervalo', 'rrule'],
+        required: true
+    },
+    // Para 'semanal': 0 = domingo ... 6 = sábado
+    diasSemana: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: []
+    },
+    // Para 'intervalo': repetir a cada N dias
+    intervalo: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    // Para 'rrule': ex "FREQ=WEEKLY;BYDAY=MO,TH"
+    rrule: {
+        type: String,
+        default: null
+    },
+    // Limites opcionais da série
+    fim: {
+        type: Date,
+        default: null
+    },
+    contagem: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    // false quando a série foi encerrada
+    ativa: {
+        type: Boolean,
+        default: true
+    },
+    // Liga todas as ocorrências da mesma série (é o _id da primeira)
+    serieId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Posição desta ocorrência na série (1 = primeira)
+    numero: {
+        type: Number,
+        default: 1
+    },
+    // Dia do mês do primeiro vencimento da série, para a recorrência mensal não ir
+    // "encolhendo" depois de um mês curto (ver nextOccurrence)
+    diaDoMes: {
+        type: Number,
+        min: 1,
+        max: 31,
+        default: null
+    },
+    // Preenchido quando a próxima ocorrência já foi criada, para não duplicar
+    proximaOcorrencia: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    }
+}, { _id: false });
 
 // Definição do Schema da Tarefa
 const taskSchema = new mongoose.Schema({
@@ -31,25 +159,348 @@ const taskSchema = new mongoose.Schema({
         enum: ['Baixa', 'Média', 'Alta'],
         default: 'Média'
     },
-    // Novo campo para categorizar o item
+    // Categoria (lista) do usuário à qual o item pertence (ver models/category.js).
+    // Antes era um enum fixo; scripts/migrateCategories.js converte os dados antigos.
     category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        required: [true, 'A categoria é obrigatória.']
+    },
+    // Prazo da tarefa (opcional). Quando não há hora, guarda o fim do dia (23:59:59)
+    dataVencimento: {
+        type: Date,
+        default: null
+    },
+    // Hora informada pelo usuário ("HH:mm"), apenas para exibição/edição
+    horaVencimento: {
         type: String,
-        required: [true, 'A categoria é obrigatória.'],
-        // MODIFICADO: 'Compras' agora é 'Carro'
-        enum: ['Tarefa', 'Meu TCC', 'Trabalho', 'Carro'],
-        default: 'Tarefa'
+        default: null,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'A hora de vencimento deve estar no formato HH:mm.']
+    },
+    // Checklist ordenado de subtarefas (ex: capítulos do TCC, itens da revisão do carro)
+    itens: {
+        type: [itemSchema],
+        default: []
+    },
+    // Tags livres (ex: "urgente", "orientador"), sempre normalizadas por utils/tags.js
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags,
+        validate: [
+            {
+                validator: (tags) => tags.length <= MAX_TAGS,
+                message: `Uma tarefa pode ter no máximo ${MAX_TAGS} tags.`
+            },
+            {
+                validator: (tags) => tags.every(tag => tag.length <= MAX_TAG_LENGTH),
+                message: `Cada tag pode ter no máximo ${MAX_TAG_LENGTH} caracteres.`
+            }
+        ]
+    },
+    // Arquivos anexados (PDFs, imagens, recibos). Ver as rotas /api/tarefas/:id/anexos
+    anexos: {
+        type: [anexoSchema],
+        default: [],
+        validate: {
+            validator: (anexos) => anexos.length <= MAX_ATTACHMENTS,
+            message: `Uma tarefa pode ter no máximo ${MAX_ATTACHMENTS} anexos.`
+        }
+    },
+    // Regra de repetição (opcional). Ao concluir, a próxima ocorrência é criada automaticamente
+    recorrencia: {
+        type: recorrenciaSchema,
+        default: null
+    },
+    // Lixeira (exclusão "suave"): preenchido ao excluir. A tarefa some de todas as
+    // listagens, relatórios e exportações até ser restaurada ou excluída de vez
+    excluidaEm: {
+        type: Date,
+        default: null
+    },
+    excluidaPor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     },
     // O campo 'user' precisa estar aqui dentro
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    // Colaborador responsável pela tarefa (o dono ou alguém com quem a lista foi compartilhada).
+    // Ele pode alterar a tarefa mesmo sem ser editor da lista (ver utils/taskAccess.js)
+    responsavel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, {
     // O segundo objeto é apenas para opções como timestamps
     timestamps: true
 });
 
+// Índice para os filtros de vencimento (?vencendo= e ?atrasadas=)
+taskSchema.index({ user: 1, concluida: 1, dataVencimento: 1 });
+
+// Índice para o filtro ?tags= e para a contagem/renomeação de tags por usuário
+taskSchema.index({ user: 1, tags: 1 });
+
+// Índice de texto da busca (GET /api/tarefas/busca). Em português e, na versão 3
+// do índice de texto, sem diferenciar acentos: "manutencao" encontra "manutenção".
+taskSchema.index(
+    { titulo: 'text', descricao: 'text' },
+    { name: 'busca_texto', default_language: 'portuguese', weights: { titulo: 3, descricao: 1 } }
+);
+
+// Índice para a lixeira e para a limpeza automática (scripts/purgeTrash.js)
+taskSchema.index({ excluidaEm: 1 });
+// Página "Atribuídas a mim"
+taskSchema.index({ responsavel: 1, concluida: 1 });
+
+/**
+ * Esconde as tarefas da lixeira em todas as consultas de leitura (find, count, aggregate...).
+ * Para enxergá-las, o filtro deve citar `excluidaEm` (como fazem as rotas da lixeira)
+ * ou a consulta deve usar .incluindoLixeira().
+ */
+function hideTrashed() {
+    if (this._incluindoLixeira || 'excluidaEm' in this.getFilter()) return;
+    this.where({ excluidaEm: null });
+}
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], hideTrashed);
+
+taskSchema.pre('aggregate', function() {
+    const [primeiroEstagio] = this.pipeline();
+    if (primeiroEstagio && primeiroEstagio.$match && 'excluidaEm' in primeiroEstagio.$match) return;
+    this.pipeline().unshift({ $match: { excluidaEm: null } });
+});
+
+taskSchema.query.incluindoLixeira = function() {
+    this._incluindoLixeira = true;
+    return this;
+};
+
+// A primeira ocorrência de uma série usa o próprio _id como serieId e o dia do
+// vencimento como diaDoMes
+taskSchema.pre('save', function(next) {
+    if (this.recorrencia && !this.recorrencia.serieId) {
+        this.recorrencia.serieId = this._id;
+    }
+    if (this.recorrencia && !this.recorrencia.diaDoMes && this.dataVencimento) {
+        this.recorrencia.diaDoMes = this.dataVencimento.getDate();
+    }
+    next();
+});
+
+// --- HISTÓRICO DE REVISÕES (ver models/taskRevision.js) ---
+
+// Campos cujas mudanças entram no histórico
+const TRACKED_FIELDS = [
+    'titulo', 'descricao', 'concluida', 'prioridade', 'category', 'tags',
+    'dataVencimento', 'horaVencimento', 'itens', 'recorrencia', 'responsavel', 'excluidaEm'
+];
+
+// Controle interno da série: o sistema altera sozinho (ver spawnNextOccurrence), então
+// fica fora do histórico e não é desfeito ao reverter
+const INTERNAL_RECURRENCE_FIELDS = ['diaDoMes', 'proximaOcorrencia'];
+
+const snapshot = (doc) => {
+    const dados = doc.toObject({ depopulate: true, virtuals: false });
+    if (dados.recorrencia) {
+        INTERNAL_RECURRENCE_FIELDS.forEach(campo => delete dados.recorrencia[campo]);
+    }
+    return Object.fromEntries(TRACKED_FIELDS.map(campo => [campo, dados[campo] === undefined ? null : dados[campo]]));
+};
+
+const isEmpty = (valor) => valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Guarda como a tarefa estava ao ser carregada, para calcular o diff no save
+taskSchema.post('init', function() {
+    this.$locals.original = snapshot(this);
+});
+
+/**
+ * Calcula a revisão antes de salvar. Quem fez a alteração vem de `task.$locals.autor`
+ * (as rotas da API preenchem com o usuário logado); `task.$locals.acao` força a ação.
+ */
+taskSchema.pre('save', function(next) {
+    const atual = snapshot(this);
+    const original = this.$locals.original;
+    let acao = 'criar';
+    let alteracoes = [];
+
+    if (this.isNew) {
+        alteracoes = TRACKED_FIELDS
+            .filter(campo => !isEmpty(atual[campo]))
+            .map(campo => ({ campo, de: null, para: atual[campo] }));
+    } else if (original) {
+        alteracoes = TRACKED_FIELDS
+            .filter(campo => !sameValue(original[campo], atual[campo]))
+            .map(campo => ({ campo, de: original[campo], para: atual[campo] }));
+
+        acao = 'atualizar';
+        if (!original.excluidaEm && atual.excluidaEm) acao = 'excluir';
+        if (original.excluidaEm && !atual.excluidaEm) acao = 'restaurar';
+    }
+
+    this.$locals.revisao = alteracoes.length > 0 ? { acao: this.$locals.acao || acao, alteracoes } : null;
+    this.$locals.proximoOriginal = atual;
+    next();
+});
+
+taskSchema.post('save', async function() {
+    const revisao = this.$locals.revisao;
+    this.$locals.original = this.$locals.proximoOriginal;
+    this.$locals.revisao = null;
+    this.$locals.acao = null;
+    if (!revisao) return;
+
+    // Uma falha no histórico não desfaz a alteração já salva na tarefa
+    try {
+        await TaskRevision.create({ task: this._id, user: this.user, autor: this.$locals.autor || null, ...revisao });
+    } catch (error) {
+        console.error('Erro ao gravar a revisão da tarefa:', error.message);
+    }
+});
+
+// Renumera as posições dos itens (0..n-1) respeitando a ordem atual
+taskSchema.methods.renumberItens = function() {
+    this.itens.sort((a, b) => a.posicao - b.posicao);
+    this.itens.forEach((item, index) => {
+        item.posicao = index;
+    });
+};
+
+/**
+ * Cria a próxima ocorrência de uma tarefa recorrente (chamado ao concluí-la).
+ * Retorna a nova tarefa, ou null se não há recorrência ativa, se a série terminou
+ * ou se a próxima ocorrência já tinha sido criada antes.
+ */
+taskSchema.methods.spawnNextOccurrence = async function() {
+    const recorrencia = this.recorrencia;
+    if (!recorrencia || !recorrencia.ativa || recorrencia.proximaOcorrencia) {
+        return null;
+    }
+
+    // Sem vencimento, a série conta a partir do dia em que a tarefa foi concluída
+    const base = this.dataVencimento || endOfDay(new Date());
+    const proximaData = nextOccurrence(recorrencia, base, recorrencia.numero);
+    if (!proximaData) {
+        return null;
+    }
+
+    const proxima = new this.constructor({
+        titulo: this.titulo,
+        descricao: this.descricao,
+        prioridade: this.prioridade,
+        category: this.category,
+        tags: this.tags,
+        dataVencimento: proximaData,
+        horaVencimento: this.horaVencimento,
+        // O checklist recomeça do zero na nova ocorrência
+        itens: this.itens.map(item => ({ texto: item.texto, posicao: item.posicao, concluido: false })),
+        recorrencia: {
+            ...recorrencia.toObject(),
+            numero: recorrencia.numero + 1,
+            proximaOcorrencia: null
+        },
+        user: this.user,
+        responsavel: this.responsavel
+    });
+    // A nova ocorrência entra no histórico em nome de quem concluiu a anterior
+    proxima.$locals.autor = this.$locals.autor;
+    await proxima.save();
+
+    // Só muda um campo interno: não gera revisão nesta tarefa
+    recorrencia.proximaOcorrencia = proxima._id;
+    await this.save();
+    return proxima;
+};
+
+/**
+ * Move a tarefa para a lixeira (a exclusão definitiva é feita por Task.purgeTrashed).
+ */
+taskSchema.methods.moveToTrash = async function(userId) {
+    this.excluidaEm = new Date();
+    this.excluidaPor = userId;
+    this.$locals.autor = userId;
+    return this.save();
+};
+
+taskSchema.methods.restoreFromTrash = async function(userId) {
+    this.excluidaEm = null;
+    this.excluidaPor = null;
+    this.$locals.autor = userId;
+    return this.save();
+};
+
+/**
+ * Exclui DEFINITIVAMENTE as tarefas que atendem ao filtro (estejam ou não na lixeira),
+ * junto com o histórico, os comentários e os arquivos anexados. Devolve quantas foram excluídas.
+ */
+taskSchema.statics.purge = async function(filtro) {
+    const tarefas = await this.find(filtro).incluindoLixeira().select('anexos.chave').lean();
+    if (tarefas.length === 0) return 0;
+
+    const ids = tarefas.map(task => task._id);
+    const resultado = await this.deleteMany({ _id: { $in: ids } });
+    // Sem a tarefa, o histórico, os comentários e os anexos dela não têm mais utilidade
+    await TaskRevision.deleteMany({ task: { $in: ids } });
+    await Comment.deleteMany({ task: { $in: ids } });
+    await removeFiles(tarefas.flatMap(task => (task.anexos || []).map(anexo => anexo.chave)));
+    return resultado.deletedCount;
+};
+
+// Só as que estão na lixeira (exclusão manual e limpeza automática)
+taskSchema.statics.purgeTrashed = function(filtro = {}) {
+    return this.purge({ excluidaEm: { $ne: null }, ...filtro });
+};
+
+/**
+ * Campos que voltariam ao estado em que a tarefa ficou logo após a revisão `revisaoId`,
+ * desfazendo (do fim para o começo) as revisões posteriores. Só entram os que são
+ * diferentes do valor atual; a lixeira não é afetada. Devolve null se a revisão não
+ * for desta tarefa. Nada é gravado: quem chama confere os campos e usa revertTo.
+ */
+taskSchema.methods.revisionState = async function(revisaoId) {
+    const revisoes = await TaskRevision.find({ task: this._id }).sort({ createdAt: -1, _id: -1 });
+    const indice = revisoes.findIndex(revisao => revisao._id.equals(revisaoId));
+    if (indice === -1) return null;
+
+    const estado = {};
+    revisoes.slice(0, indice).forEach(revisao => {
+        revisao.alteracoes.forEach(alteracao => {
+            estado[alteracao.campo] = alteracao.de;
+        });
+    });
+    delete estado.excluidaEm;
+
+    const atual = snapshot(this);
+    Object.keys(estado).forEach(campo => {
+        if (sameValue(estado[campo], atual[campo])) delete estado[campo];
+    });
+    return estado;
+};
+
+/**
+ * Aplica o estado de revisionState. A reversão é salva como uma nova revisão
+ * (ação "reverter"), então também pode ser desfeita.
+ */
+taskSchema.methods.revertTo = function(estado, autor) {
+    if (estado.recorrencia && this.recorrencia) {
+        estado = { ...estado, recorrencia: { ...estado.recorrencia } };
+        INTERNAL_RECURRENCE_FIELDS.forEach(campo => {
+            estado.recorrencia[campo] = this.recorrencia[campo];
+        });
+    }
+    Object.assign(this, estado);
+    this.$locals.autor = autor;
+    this.$locals.acao = 'reverter';
+    return this.save();
+};
+
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task;
\ No newline at end of file
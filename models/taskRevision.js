@@ -0,0 +1,69 @@
+/**
+ * 🕘 MODELO DE DADOS (SCHEMA) - REVISÃO DE TAREFA
+ * =========================================
+ * * Cada criação, alteração, exclusão (lixeira) ou restauração de uma tarefa gera
+ * uma revisão com o diff campo a campo, quem fez e quando. As revisões são
+ * gravadas automaticamente pelos hooks de save do modelo de Tarefa (models/task.js).
+ * * Com elas é possível ver o histórico (GET /api/tarefas/:id/historico) e
+ * voltar a tarefa ao estado de uma revisão anterior.
+ */
+
+const mongoose = require('mongoose');
+
+const ACOES = ['criar', 'atualizar', 'excluir', 'restaurar', 'reverter'];
+
+const alteracaoSchema = new mongoose.Schema({
+    campo: {
+        type: String,
+        required: true
+    },
+    // Valores antes e depois (datas, ids, listas...). Na criação, "de" é null
+    de: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    para: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+const taskRevisionSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    // Dono da tarefa no momento da revisão
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Quem fez a alteração (o dono, um admin...). Null em rotinas automáticas
+    autor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    acao: {
+        type: String,
+        enum: ACOES,
+        required: true
+    },
+    alteracoes: {
+        type: [alteracaoSchema],
+        default: []
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Histórico de uma tarefa, da revisão mais recente para a mais antiga
+taskRevisionSchema.index({ task: 1, createdAt: -1 });
+
+const TaskRevision = mongoose.model('TaskRevision', taskRevisionSchema);
+
+TaskRevision.ACOES = ACOES;
+
+module.exports = TaskRevision;
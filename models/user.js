@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { verifyTotp, hashRecoveryCode } = require('../utils/totp');
 
 const UserSchema = new mongoose.Schema({
     nome: {
@@ -29,6 +30,44 @@ const UserSchema = new mongoose.Schema({
         type: String,
         enum: ['user', 'admin'], // Apenas estes dois valores são permitidos
         default: 'user' // O padrão para qualquer novo usuário é 'user'
+    },
+    // Contas desativadas por um admin não conseguem fazer login (ver /admin)
+    ativo: {
+        type: Boolean,
+        default: true
+    },
+    // Contas criadas pelo /cadastro começam com false e ficam limitadas até o link
+    // enviado por e-mail ser aberto (ou um admin confirmar). O padrão true vale para
+    // as contas que já existiam antes da confirmação de e-mail.
+    emailVerificado: {
+        type: Boolean,
+        default: true
+    },
+    emailVerificadoEm: {
+        type: Date,
+        default: null
+    },
+    // Proteção contra força bruta no login (ver utils/loginGuard.js): falhas seguidas
+    // e até quando a conta fica bloqueada. Um admin pode desbloquear em /admin.
+    tentativasFalhas: {
+        type: Number,
+        default: 0
+    },
+    bloqueadoAte: {
+        type: Date,
+        default: null
+    },
+    // Autenticação em dois fatores (ver utils/totp.js e /conta/seguranca). O segredo e os
+    // hashes dos códigos de recuperação não saem nas consultas comuns (select: false):
+    // quem precisa deles pede com .select(User.TWO_FACTOR_FIELDS).
+    doisFatores: {
+        ativo: { type: Boolean, default: false },
+        segredo: { type: String, default: null, select: false },
+        // Gerado ao começar a ativação; vira o segredo quando o primeiro código é confirmado
+        segredoPendente: { type: String, default: null, select: false },
+        codigosRecuperacao: { type: [String], default: [], select: false },
+        // Último passo TOTP aceito: o mesmo código não vale duas vezes
+        ultimoPasso: { type: Number, default: -1, select: false }
     }
 }, {
     timestamps: true // Adiciona os campos createdAt e updatedAt automaticamente
@@ -52,6 +91,33 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Confere o código do segundo fator: um código TOTP do aplicativo ou um código de
+ * recuperação (que é descartado). Devolve 'totp', 'recuperacao' ou null.
+ * O documento precisa ter sido carregado com TWO_FACTOR_FIELDS; quem chama salva.
+ */
+UserSchema.methods.matchSecondFactor = function(codigo) {
+    const passo = verifyTotp(this.doisFatores.segredo, codigo, { ultimoPasso: this.doisFatores.ultimoPasso });
+    if (passo !== null) {
+        this.doisFatores.ultimoPasso = passo;
+        return 'totp';
+    }
+
+    const hash = hashRecoveryCode(codigo);
+    if (this.doisFatores.codigosRecuperacao.includes(hash)) {
+        this.doisFatores.codigosRecuperacao = this.doisFatores.codigosRecuperacao.filter(h => h !== hash);
+        return 'recuperacao';
+    }
+    return null;
+};
+
+// Desliga o segundo fator e apaga o segredo e os códigos (o usuário ou um admin)
+UserSchema.methods.resetTwoFactor = function() {
+    this.doisFatores = { ativo: false, segredo: null, segredoPendente: null, codigosRecuperacao: [], ultimoPasso: -1 };
+};
+
 const User = mongoose.model('User', UserSchema);
 
+User.TWO_FACTOR_FIELDS = '+doisFatores.segredo +doisFatores.segredoPendente +doisFatores.codigosRecuperacao +doisFatores.ultimoPasso';
+
 module.exports = User;
\ No newline at end of file
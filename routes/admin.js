@@ -0,0 +1,150 @@
+/**
+ * 🛡️ ROTAS DE API - ADMINISTRAÇÃO
+ * =========================================
+ * * Gestão dos usuários, só para admins: busca, papel (user/admin), ativação
+ * da conta, desbloqueio, confirmação manual do e-mail, reset dos dois fatores e
+ * exclusão. Montado em /api/admin no index.js; a página /admin usa estas rotas.
+ * * Toda mudança em um usuário encerra as sessões abertas dele, para valer na hora.
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user');
+const { isApiAuthenticated, isAdmin } = require('../middleware/authMiddleware');
+const { CODES, validate, fieldError, sendError } = require('../utils/validation');
+const { listUsers, taskCountsByUser, hasOtherActiveAdmin, deleteUser } = require('../utils/userAdmin');
+const { endUserSessions } = require('../utils/userSessions');
+const { unlockAccount } = require('../utils/loginGuard');
+
+router.use(isApiAuthenticated, isAdmin);
+
+const USER_PARAMS = { id: { tipo: 'objectId' } };
+
+/**
+ * Middleware que carrega o usuário de :id em req.targetUser (sem a senha),
+ * respondendo 404 se ele não existir e 400 se for o próprio admin logado.
+ */
+const loadOtherUser = async (req, res, next) => {
+    try {
+        if (req.params.id === String(req.session.userId)) {
+            return sendError(res, fieldError('id', CODES.INVALIDO, 'Você não pode alterar ou excluir a sua própria conta por aqui.'));
+        }
+
+        const usuario = await User.findById(req.params.id).select('-password');
+        if (!usuario) {
+            return res.status(404).json({ success: false, message: 'Usuário não encontrado.' });
+        }
+
+        req.targetUser = usuario;
+        next();
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+};
+
+/**
+ * LISTAR USUÁRIOS
+ * ===============
+ * Rota: GET /api/admin/usuarios?q=&pagina=
+ * Descrição: Usuários (nome ou e-mail contendo `q`), 50 por página, com a
+ * contagem de tarefas de cada um em `tarefas`: { total, pendentes, concluidas, lixeira }.
+ */
+const LIST_QUERY = {
+    q: { tipo: 'string', max: 200, padrao: '' },
+    pagina: { tipo: 'number', inteiro: true, min: 1, padrao: 1 }
+};
+
+router.get('/usuarios', validate({ query: LIST_QUERY }), async (req, res) => {
+    try {
+        const { usuarios, total, pagina, paginas } = await listUsers({ busca: req.query.q, pagina: req.query.pagina });
+        res.json({ success: true, data: usuarios, total, pagina, paginas });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * ATUALIZAR USUÁRIO
+ * =================
+ * Rota: PUT /api/admin/usuarios/:id
+ * Corpo: { role?: 'user' | 'admin', ativo?: boolean, emailVerificado?: boolean,
+ *         desbloquear?: true, resetarDoisFatores?: true }
+ * Descrição: Promove/rebaixa e desativa/reativa a conta. Uma conta desativada
+ * não consegue fazer login. O último admin ativo não pode ser rebaixado nem desativado.
+ * Com emailVerificado, o admin confirma (ou volta a exigir) o e-mail da conta.
+ * Com desbloquear, libera a conta bloqueada por tentativas de login erradas.
+ * Com resetarDoisFatores, desliga a verificação em duas etapas de quem perdeu o
+ * celular e os códigos de recuperação (a pessoa pode ativá-la de novo depois).
+ */
+const UPDATE_BODY = {
+    role: { tipo: 'string', enum: ['user', 'admin'] },
+    ativo: { tipo: 'boolean' },
+    emailVerificado: { tipo: 'boolean' },
+    desbloquear: { tipo: 'boolean' },
+    resetarDoisFatores: { tipo: 'boolean' }
+};
+
+router.put('/usuarios/:id', validate({ params: USER_PARAMS, body: UPDATE_BODY }), loadOtherUser, async (req, res) => {
+    try {
+        const usuario = req.targetUser;
+        const deixaDeSerAdmin = usuario.role === 'admin' && usuario.ativo !== false
+            && (req.body.role === 'user' || req.body.ativo === false);
+
+        if (deixaDeSerAdmin && !(await hasOtherActiveAdmin(usuario._id))) {
+            return res.status(409).json({ success: false, message: 'O sistema precisa de pelo menos um admin ativo.' });
+        }
+
+        const { desbloquear, resetarDoisFatores, ...campos } = req.body;
+        Object.assign(usuario, campos);
+        if (desbloquear) unlockAccount(usuario);
+        if (resetarDoisFatores) usuario.resetTwoFactor();
+        if (usuario.isModified('emailVerificado')) {
+            usuario.emailVerificadoEm = usuario.emailVerificado ? new Date() : null;
+        }
+        await usuario.save();
+        await endUserSessions(usuario._id);
+
+        const contagens = await taskCountsByUser([usuario._id]);
+        res.json({ success: true, data: { ...usuario.toObject(), tarefas: contagens[String(usuario._id)] } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * EXCLUIR USUÁRIO
+ * ===============
+ * Rota: DELETE /api/admin/usuarios/:id?tarefas=transferir&para=<id ou e-mail>
+ *       DELETE /api/admin/usuarios/:id?tarefas=excluir
+ * Descrição: É obrigatório escolher o destino das tarefas. Ao transferir, as listas
+ * vão junto (listas com o mesmo slug de uma lista do destino são unidas a ela).
+ * Ao excluir, as tarefas e as listas são apagadas definitivamente.
+ */
+const DELETE_QUERY = {
+    tarefas: {
+        tipo: 'string',
+        obrigatorio: true,
+        enum: ['transferir', 'excluir'],
+        mensagens: { [CODES.OBRIGATORIO]: 'Informe em ?tarefas= se as tarefas serão transferidas ou excluídas.' }
+    },
+    para: { tipo: 'string', max: 200 }
+};
+
+router.delete('/usuarios/:id', validate({ params: USER_PARAMS, query: DELETE_QUERY }), loadOtherUser, async (req, res) => {
+    try {
+        const usuario = req.targetUser;
+
+        if (usuario.role === 'admin' && !(await hasOtherActiveAdmin(usuario._id))) {
+            return res.status(409).json({ success: false, message: 'O sistema precisa de pelo menos um admin ativo.' });
+        }
+
+        const resultado = await deleteUser(usuario, { tarefas: req.query.tarefas, para: req.query.para });
+        await endUserSessions(usuario._id);
+
+        res.json({ success: true, message: 'Usuário excluído com sucesso.', ...resultado });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = router;
@@ -7,9 +7,265 @@
  */
 
 const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { addDays } = require('date-fns');
 const router = express.Router();
 const Task = require('../models/task'); // Importa o modelo de Tarefa
-const { isAuthenticated } = require('../middleware/authMiddleware');
+const Category = require('../models/category');
+const TaskRevision = require('../models/taskRevision');
+const Comment = require('../models/comment');
+const { isApiAuthenticated, isVerified, scopeTasksToUser } = require('../middleware/authMiddleware');
+const { parseDueDate } = require('../utils/dueDate');
+const { parseTaskQuery, runTaskQuery } = require('../utils/taskQuery');
+const { TIPOS, normalizeRecurrence, nextOccurrence, sameRule } = require('../utils/recurrence');
+const { searchTasks, MAX_RESULTS } = require('../utils/search');
+const { MODOS, restoreBackup } = require('../utils/backupRestore');
+const { importTasksCsv } = require('../utils/csvImport');
+const { CODES, RuleError, validate, validateInput, fieldError, toErrorList, errorMessage, sendError, withField } = require('../utils/validation');
+const { RETENTION_DAYS } = require('../scripts/purgeTrash');
+const { taskAccessLevel, hasAccess, resolveAssignee } = require('../utils/taskAccess');
+const {
+    MAX_FILE_SIZE, MAX_FILE_SIZE_MB, MAX_ATTACHMENTS, MAX_FILES_PER_UPLOAD,
+    ALLOWED_TYPES, matchesSignature, getStorage, removeFiles
+} = require('../utils/attachmentStorage');
+
+/**
+ * Regra de permissão das rotas que mexem em várias tarefas de uma vez (lote,
+ * lixeira, importação): só o dono da tarefa ou um admin. As rotas de uma tarefa
+ * também aceitam quem tem acesso pela lista compartilhada (ver loadTask).
+ */
+const canEditTask = (task, session) => {
+    const userIsAdmin = session.userRole === 'admin';
+    const userIsOwner = task.user.toString() === String(session.userId);
+    return userIsAdmin || userIsOwner;
+};
+
+/**
+ * Converte o valor de "category" recebido (ID, slug ou nome) na categoria do usuário.
+ * Sem valor, usa a primeira categoria dele. Lança um RuleError se não encontrar.
+ * Com `compartilhadas`, aceita também o ID de uma lista em que ele é editor.
+ */
+const resolveTaskCategory = async (userId, valor, { compartilhadas = false } = {}) => {
+    if (valor === undefined || valor === null || valor === '') {
+        const [padrao] = await Category.ensureDefaults(userId);
+        return padrao;
+    }
+
+    let categoria = await Category.resolveForUser(userId, valor);
+    if (!categoria && compartilhadas && mongoose.isValidObjectId(valor)) {
+        categoria = await Category.findOne({
+            _id: valor,
+            compartilhamentos: { $elemMatch: { user: userId, nivel: 'editor' } }
+        });
+    }
+    if (!categoria) {
+        throw new RuleError(`Categoria não encontrada: ${valor}`);
+    }
+    return categoria;
+};
+
+// --- SCHEMAS DE VALIDAÇÃO (ver utils/validation.js) ---
+
+const PRIORIDADES = Task.schema.path('prioridade').enumValues;
+
+// Item do checklist como vem da importação ou do PUT (_id preserva o item existente)
+const CHECKLIST_ITEM = {
+    tipo: 'object',
+    campos: {
+        _id: { tipo: 'objectId' },
+        texto: { tipo: 'string', obrigatorio: true, max: 200 },
+        concluido: { tipo: 'boolean' },
+        posicao: { tipo: 'number', inteiro: true, min: 0 }
+    }
+};
+
+// Campos da tarefa que o cliente pode enviar. user, _id, createdAt e os campos
+// da lixeira nunca são aceitos no corpo
+const TASK_FIELDS = {
+    titulo: { tipo: 'string', max: 100 },
+    descricao: { tipo: 'string', max: 500, nulo: true },
+    prioridade: { tipo: 'string', enum: PRIORIDADES },
+    // ID, slug ou nome de uma categoria do dono (vazio = a primeira dele)
+    category: { tipo: 'string', nulo: true },
+    // Lista ou texto separado por vírgulas/espaços ("urgente, orientador")
+    tags: { tipo: 'array', separador: /[,\s]+/, nulo: true, itens: { tipo: 'string' } },
+    // "AAAA-MM-DD" (ou ISO) + "HH:mm", convertidos por parseDueDate
+    dataVencimento: { tipo: 'string', nulo: true },
+    horaVencimento: {
+        tipo: 'string',
+        nulo: true,
+        formato: /^([01]\d|2[0-3]):[0-5]\d$/,
+        mensagens: { [CODES.FORMATO]: 'Hora de vencimento inválida. Use o formato HH:mm.' }
+    },
+    recorrencia: {
+        tipo: 'object',
+        nulo: true,
+        campos: {
+            tipo: { tipo: 'string', nulo: true, enum: ['nenhuma', ...TIPOS] },
+            diasSemana: { tipo: 'array', itens: { tipo: 'number', inteiro: true, min: 0, max: 6 } },
+            intervalo: { tipo: 'number', inteiro: true, min: 1, nulo: true },
+            rrule: { tipo: 'string', max: 200, nulo: true },
+            fim: { tipo: 'date', nulo: true },
+            contagem: { tipo: 'number', inteiro: true, min: 1, nulo: true }
+        }
+    }
+};
+
+const TITULO_OBRIGATORIO = {
+    ...TASK_FIELDS.titulo,
+    obrigatorio: true,
+    mensagens: { [CODES.OBRIGATORIO]: 'O título da tarefa é obrigatório.' }
+};
+
+// ID do usuário responsável (null = ninguém). Ver utils/taskAccess.js
+const RESPONSAVEL = { tipo: 'objectId', nulo: true };
+
+// POST /api/tarefas
+const CREATE_TASK = { ...TASK_FIELDS, titulo: TITULO_OBRIGATORIO, responsavel: RESPONSAVEL };
+
+// Cada item de POST /api/tarefas/importar (mesmo formato da exportação JSON)
+const IMPORT_TASK = {
+    ...TASK_FIELDS,
+    titulo: TITULO_OBRIGATORIO,
+    responsavel: RESPONSAVEL,
+    concluida: { tipo: 'boolean', padrao: false },
+    itens: { tipo: 'array', itens: CHECKLIST_ITEM }
+};
+
+// PUT /api/tarefas/:id (todos opcionais; só o que vier é alterado)
+const UPDATE_TASK = {
+    ...TASK_FIELDS,
+    responsavel: RESPONSAVEL,
+    concluida: { tipo: 'boolean' },
+    itens: { tipo: 'array', itens: CHECKLIST_ITEM }
+};
+
+// Cada tarefa de POST /api/tarefas/restaurar (formato de GET /api/tarefas/backup): as
+// regras do POST mais os campos da série e o createdAt. _id, user e category são
+// conferidos em utils/backupRestore.js
+const BACKUP_TASK = {
+    ...TASK_FIELDS,
+    titulo: TITULO_OBRIGATORIO,
+    concluida: { tipo: 'boolean' },
+    itens: { tipo: 'array', itens: CHECKLIST_ITEM },
+    recorrencia: {
+        ...TASK_FIELDS.recorrencia,
+        campos: {
+            ...TASK_FIELDS.recorrencia.campos,
+            ativa: { tipo: 'boolean' },
+            serieId: { tipo: 'objectId', nulo: true },
+            numero: { tipo: 'number', inteiro: true, min: 1 },
+            diaDoMes: { tipo: 'number', inteiro: true, min: 1, max: 31, nulo: true },
+            proximaOcorrencia: { tipo: 'objectId', nulo: true }
+        }
+    },
+    createdAt: { tipo: 'date' }
+};
+
+// Corpo das rotas da lixeira
+const IDS_BODY = {
+    ids: {
+        tipo: 'array',
+        obrigatorio: true,
+        min: 1,
+        itens: { tipo: 'string' },
+        mensagens: { [CODES.OBRIGATORIO]: 'Informe a lista de ids das tarefas.' }
+    }
+};
+
+const ITEM_TEXT = { tipo: 'string', max: 200 };
+
+/**
+ * Cria o middleware que carrega a tarefa de :id em req.task (e o nível de acesso
+ * do usuário em req.taskAccess), respondendo 404 se ela não existir e 403 se o
+ * usuário não tiver pelo menos o nível `minimo` (ver utils/taskAccess.js).
+ */
+const loadTask = (minimo) => async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return sendError(res, fieldError('id', CODES.TIPO, 'ID de tarefa inválido.'));
+    }
+
+    try {
+        const task = await Task.findById(req.params.id);
+
+        if (!task) {
+            return res.status(404).json({ success: false, message: 'Tarefa não encontrada.' });
+        }
+
+        const nivel = await taskAccessLevel(task, req.session);
+        if (!hasAccess(nivel, minimo)) {
+            return res.status(403).json({ success: false, message: 'Acesso negado.' });
+        }
+
+        // Quem fez a alteração, para o histórico de revisões
+        task.$locals.autor = req.session.userId;
+        req.task = task;
+        req.taskAccess = nivel;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Ver a tarefa / alterá-la / movê-la para a lixeira
+const loadVisibleTask = loadTask('leitor');
+const loadEditableTask = loadTask('responsavel');
+const loadDeletableTask = loadTask('editor');
+
+/**
+ * Versão da tarefa para controle de concorrência otimista (ETag). Muda a cada
+ * gravação, inclusive pelas operações em massa, porque vem do updatedAt.
+ */
+const taskETag = (task) => `"${task._id}-${new Date(task.updatedAt).getTime()}"`;
+
+// Envia uma única tarefa com o cabeçalho ETag da versão dela
+const sendTask = (res, task, extras = {}, status = 200) => {
+    res.set('ETag', taskETag(task));
+    res.status(status).json({ success: true, ...extras, data: task });
+};
+
+// 412 com a tarefa como está no servidor e o ETag novo, para o cliente decidir
+// entre recarregar ou sobrescrever
+const sendVersionConflict = (res, task) => {
+    const message = 'Esta tarefa foi alterada (em outra aba ou aparelho) depois que você a abriu.';
+    res.set('ETag', taskETag(task));
+    res.status(412).json({ success: false, message, errors: [{ code: CODES.VERSAO, field: null, message }], data: task });
+};
+
+/**
+ * Middleware (depois de loadEditableTask) que confere o cabeçalho If-Match.
+ * Sem If-Match a alteração segue normalmente (clientes antigos). Se a versão enviada
+ * não é mais a atual, responde 412. Se é, a próxima gravação da tarefa só acontece se
+ * ela continuar nessa versão (filtro por updatedAt, ver handleVersionConflict): uma
+ * alteração feita entre a leitura e a gravação também dá 412.
+ */
+const checkIfMatch = (req, res, next) => {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch || ifMatch.trim() === '*') return next();
+
+    const enviadas = ifMatch.split(',').map(etag => etag.trim().replace(/^W\//, ''));
+    if (!enviadas.includes(taskETag(req.task))) return sendVersionConflict(res, req.task);
+
+    req.task.$where = { updatedAt: req.task.updatedAt };
+    next();
+};
+
+/**
+ * Para o catch das rotas com checkIfMatch: se a gravação condicional não encontrou a
+ * tarefa na versão conferida, responde 412 com a versão atual e devolve true.
+ */
+const handleVersionConflict = async (req, res, error) => {
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError)) return false;
+
+    const atual = await Task.findById(req.task._id).incluindoLixeira();
+    if (!atual) {
+        res.status(404).json({ success: false, message: 'Tarefa não encontrada.' });
+    } else {
+        sendVersionConflict(res, atual);
+    }
+    return true;
+};
 
 /**
  * STATUS DA API
@@ -36,17 +292,86 @@ router.get('/status', (req, res) => {
  * LISTAR TODAS AS TAREFAS (READ)
  * ==============================
  * Rota: GET /api/tarefas
- * Descrição: Retorna a lista de tarefas do banco de dados, ordenadas.
+ * Descrição: Retorna a lista de tarefas do usuário logado, filtrada, ordenada e paginada.
+ * Admins podem usar ?todos=true para listar as tarefas de todos os usuários.
+ * Parâmetros (ver utils/taskQuery.js):
+ * - Filtros: categoria, prioridade, concluida, criadoDe/criadoAte, atualizadoDe/atualizadoAte,
+ *   vencendo=7d, atrasadas=true, tags=a,b (tagsModo=qualquer|todas)
+ * - Ordenação: ordenar=-prioridade,createdAt
+ * - Paginação: pagina, limite (padrão 20, máximo 100)
+ * Resposta: { success, data, paginacao: { total, pagina, limite, total_paginas, proxima, anterior } }
  */
-router.get('/tarefas', async (req, res) => {
+router.get('/tarefas', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
     console.log('📋 Listando tarefas do banco de dados...');
+
+    let consulta;
+    try {
+        consulta = await parseTaskQuery(req.query, { scope: req.taskScope });
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    try {
+        const { data, paginacao } = await runTaskQuery(Task, consulta, {
+            baseUrl: `${req.baseUrl}${req.path}`,
+            query: req.query
+        });
+        res.json({ success: true, data, paginacao });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * TAREFAS ATRIBUÍDAS A MIM
+ * ========================
+ * Rota: GET /api/tarefas/atribuidas
+ * Descrição: Tarefas (de qualquer dono) em que o usuário logado é o responsável.
+ * Aceita os mesmos filtros, ordenação e paginação de GET /api/tarefas.
+ */
+router.get('/tarefas/atribuidas', isApiAuthenticated, async (req, res) => {
+    let consulta;
+    try {
+        consulta = await parseTaskQuery(req.query, {
+            scope: { responsavel: new mongoose.Types.ObjectId(String(req.session.userId)) }
+        });
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    try {
+        const { data, paginacao } = await runTaskQuery(Task, consulta, {
+            baseUrl: `${req.baseUrl}${req.path}`,
+            query: req.query,
+            withUser: true
+        });
+        res.json({ success: true, data, paginacao });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * BUSCAR TAREFAS (TEXTO)
+ * ======================
+ * Rota: GET /api/tarefas/busca?q=manutencao&limite=20
+ * Descrição: Busca no título e na descrição, sem diferenciar acentos, com os
+ * resultados mais relevantes primeiro. Cada resultado traz `score` e
+ * `destaque: { titulo, descricao }` — HTML já escapado, com os termos em <mark>.
+ */
+const SEARCH_QUERY = {
+    q: { tipo: 'string', obrigatorio: true, max: 200, mensagens: { [CODES.OBRIGATORIO]: 'Informe o termo da busca em ?q=' } },
+    limite: { tipo: 'number', inteiro: true, min: 1, max: MAX_RESULTS, padrao: 20 }
+};
+
+router.get('/tarefas/busca', isApiAuthenticated, scopeTasksToUser, validate({ query: SEARCH_QUERY }), async (req, res) => {
+    const { q, limite } = req.query;
+
     try {
-        // Busca as tarefas, ordenando por concluídas (false primeiro) e depois pela data de criação (mais recentes primeiro)
-        const tasks = await Task.find().sort({ concluida: 1, createdAt: -1 });
-        res.json({ success: true, data: tasks });
+        const data = await searchTasks(Task, { q, scope: req.taskScope, limit: limite });
+        res.json({ success: true, total: data.length, data });
     } catch (error) {
-        console.error("Erro ao listar tarefas:", error);
-        res.status(500).json({ success: false, message: 'Erro no servidor ao buscar tarefas.' });
+        sendError(res, error, 500);
     }
 });
 
@@ -55,33 +380,40 @@ router.get('/tarefas', async (req, res) => {
  * ===========================
  * Rota: GET /api/tarefas/exportar
  */
-router.get('/tarefas/exportar', async (req, res) => {
+router.get('/tarefas/exportar', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
     try {
-        const tarefas = await Task.find().lean();
+        const tarefas = await Task.find(req.taskScope).populate('category', 'nome').lean();
 
         //  \uFEFF no início. Isso é o "BOM" (Byte Order Mark).
         // Excel aceita arquivo com acentos, use UTF-8!
         // Troquei vírgulas por ponto-e-vírgula (;) para o Excel separar colunas certinho.
-        let csv = '\uFEFFID;Título;Descrição;Prioridade;Concluída;Categoria;Data de Criação\n';
+        let csv = '\uFEFFID;Título;Descrição;Prioridade;Concluída;Categoria;Data de Criação;Data de Vencimento;Checklist\n';
 
         tarefas.forEach(t => {
             // Tratamento para evitar quebra se tiver ; dentro do texto do usuário
             const titulo = t.titulo ? `"${t.titulo.replace(/"/g, '""')}"` : '';
             const descricao = t.descricao ? `"${t.descricao.replace(/"/g, '""')}"` : '';
             const data = t.createdAt ? t.createdAt.toISOString() : '';
-            const categoria = t.category || '';
+            const categoria = t.category ? t.category.nome : '';
             const prioridade = t.prioridade || '';
             const concluida = t.concluida ? 'Sim' : 'Não';
+            const vencimento = t.dataVencimento ? t.dataVencimento.toISOString() : '';
+            // Checklist em uma única célula: "[x] item 1 | [ ] item 2"
+            const itens = (t.itens || [])
+                .sort((a, b) => a.posicao - b.posicao)
+                .map(item => `[${item.concluido ? 'x' : ' '}] ${item.texto}`)
+                .join(' | ');
+            const checklist = itens ? `"${itens.replace(/"/g, '""')}"` : '';
 
             // Use ; aqui também
-            csv += `${t._id};${titulo};${descricao};${prioridade};${concluida};${categoria};${data}\n`;
+            csv += `${t._id};${titulo};${descricao};${prioridade};${concluida};${categoria};${data};${vencimento};${checklist}\n`;
         });
 
         res.header('Content-Type', 'text/csv; charset=utf-8'); // Reforça o charset
         res.attachment('tarefas.csv');
         res.send(csv);
     } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro ao exportar CSV', error: error.message });
+        sendError(res, error, 500);
     }
 });
 
@@ -90,15 +422,15 @@ router.get('/tarefas/exportar', async (req, res) => {
  * ==========================================
  * Rota: GET /api/tarefas/exportar-json
  */
-router.get('/tarefas/exportar-json', async (req, res) => {
+router.get('/tarefas/exportar-json', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
     try {
-        const tarefas = await Task.find();
+        const tarefas = await Task.find(req.taskScope);
         
         res.header('Content-Disposition', 'attachment; filename="tarefas.json"');
         res.header('Content-Type', 'application/json');
         res.send(JSON.stringify(tarefas, null, 2));
     } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro ao exportar JSON', error: error.message });
+        sendError(res, error, 500);
     }
 });
 
@@ -107,23 +439,49 @@ router.get('/tarefas/exportar-json', async (req, res) => {
  * ===============================
  * Rota: GET /api/tarefas/relatorio
  */
-router.get('/tarefas/relatorio', async (req, res) => {
+router.get('/tarefas/relatorio', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
     try {
-        const total = await Task.countDocuments();
+        const total = await Task.countDocuments(req.taskScope);
         
         // Agregação usando seus campos: 'prioridade' e 'category'
         const porPrioridade = await Task.aggregate([
+            { $match: req.taskScope },
             { $group: { _id: "$prioridade", count: { $sum: 1 } } }
         ]);
 
         const porCategoria = await Task.aggregate([
-            { $group: { _id: "$category", count: { $sum: 1 } } }
+            { $match: req.taskScope },
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'categoria' } },
+            { $project: { _id: 1, count: 1, nome: { $arrayElemAt: ["$categoria.nome", 0] } } }
+        ]);
+
+        const porTag = await Task.aggregate([
+            { $match: req.taskScope },
+            { $unwind: "$tags" },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, tag: "$_id", count: 1 } }
         ]);
 
-        const concluidas = await Task.countDocuments({ concluida: true });
-        const pendentes = await Task.countDocuments({ concluida: false });
+        const concluidas = await Task.countDocuments({ ...req.taskScope, concluida: true });
+        const pendentes = await Task.countDocuments({ ...req.taskScope, concluida: false });
 
-        const ultimasTarefas = await Task.find().sort({ createdAt: -1 }).limit(10);
+        const ultimasTarefas = await Task.find(req.taskScope).sort({ createdAt: -1 }).limit(10);
+
+        // Progresso somando os itens de checklist de todas as tarefas
+        const [checklist] = await Task.aggregate([
+            { $match: req.taskScope },
+            { $unwind: "$itens" },
+            {
+                $group: {
+                    _id: null,
+                    total_itens: { $sum: 1 },
+                    itens_concluidos: { $sum: { $cond: ["$itens.concluido", 1, 0] } }
+                }
+            },
+            { $project: { _id: 0 } }
+        ]);
 
         res.json({
             success: true,
@@ -131,12 +489,14 @@ router.get('/tarefas/relatorio', async (req, res) => {
                 total_tarefas: total,
                 tarefas_por_prioridade: porPrioridade,
                 tarefas_por_categoria: porCategoria,
+                tarefas_por_tag: porTag,
                 status: { concluidas, pendentes },
+                checklist: checklist || { total_itens: 0, itens_concluidos: 0 },
                 ultimas_10_criadas: ultimasTarefas
             }
         });
     } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro ao gerar relatório', error: error.message });
+        sendError(res, error, 500);
     }
 });
 
@@ -145,11 +505,11 @@ router.get('/tarefas/relatorio', async (req, res) => {
  * =========================
  * Rota: GET /api/tarefas/backup
  */
-router.get('/tarefas/backup', async (req, res) => {
+router.get('/tarefas/backup', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
     try {
-        const tarefas = await Task.find();
-        // Extrai categorias únicas
-        const categorias = [...new Set(tarefas.map(t => t.category).filter(c => c != null))];
+        const tarefas = await Task.find(req.taskScope);
+        // Categorias do mesmo escopo (do usuário, ou de todos no modo admin)
+        const categorias = await Category.find(req.taskScope);
 
         const backup = {
             metadata: {
@@ -165,7 +525,7 @@ router.get('/tarefas/backup', async (req, res) => {
 
         res.json({ success: true, data: backup });
     } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro ao gerar backup', error: error.message });
+        sendError(res, error, 500);
     }
 });
 
@@ -174,28 +534,34 @@ router.get('/tarefas/backup', async (req, res) => {
  * ===========================
  * Rota: POST /api/tarefas
  */
-router.post('/tarefas', isAuthenticated, async (req, res) => {
-    console.log('SESSÃO DENTRO DA API /POST TAREFAS:', req.session); 
-
+router.post('/tarefas', isApiAuthenticated, validate({ body: CREATE_TASK }), async (req, res) => {
     try {
-        const { titulo, descricao, prioridade, category } = req.body;
+        const { titulo, descricao, prioridade, category, tags, dataVencimento, horaVencimento, recorrencia, responsavel } = req.body;
         
+        // Em uma lista compartilhada (como editor) a tarefa é criada para o dono da lista
+        const categoria = await withField('category', () => resolveTaskCategory(req.session.userId, category, { compartilhadas: true }));
+
         const newTask = new Task({
             titulo,
             descricao,
             prioridade,
-            category,
-            user: req.session.userId 
+            category: categoria._id,
+            tags,
+            ...await withField('dataVencimento', () => parseDueDate(dataVencimento, horaVencimento)),
+            recorrencia: await withField('recorrencia', () => normalizeRecurrence(recorrencia)),
+            responsavel: await resolveAssignee(categoria._id, responsavel),
+            user: categoria.user
         });
         
+        newTask.$locals.autor = req.session.userId;
         await newTask.save();
         // Se o populate der erro em algum momento, pode remover se não estiver usando a info do usuário na resposta imediata
         // await newTask.populate('user', 'nome'); 
 
-        res.status(201).json({ success: true, data: newTask });
+        sendTask(res, newTask, {}, 201);
     } catch (error) {
         console.error('💥 ERRO AO SALVAR TAREFA:', error.message); 
-        res.status(400).json({ success: false, message: error.message });
+        sendError(res, error);
     }
 });
 
@@ -203,14 +569,16 @@ router.post('/tarefas', isAuthenticated, async (req, res) => {
  * IMPORTAR TAREFAS EM MASSA
  * ===================================
  * Rota: POST /api/tarefas/importar
- * Obs: Coloquei isAuthenticated para garantir que as tarefas tenham dono
+ * Obs: Coloquei isApiAuthenticated para garantir que as tarefas tenham dono
+ * Cada item é validado com o schema IMPORT_TASK; os que falham entram em `erros`
+ * com `motivo` (a primeira mensagem) e `errors` ({ code, field, message }).
  */
-router.post('/tarefas/importar', isAuthenticated, async (req, res) => {
+router.post('/tarefas/importar', isApiAuthenticated, isVerified, async (req, res) => {
     try {
         const listaTarefas = req.body;
 
         if (!Array.isArray(listaTarefas)) {
-            return res.status(400).json({ success: false, message: 'O corpo deve ser um array.' });
+            return sendError(res, fieldError(null, CODES.TIPO, 'O corpo deve ser um array.'));
         }
 
         let criadas = 0;
@@ -218,26 +586,36 @@ router.post('/tarefas/importar', isAuthenticated, async (req, res) => {
         const erros = [];
 
         for (const item of listaTarefas) {
-            // Valida se tem título (seu campo obrigatório principal)
-            if (!item.titulo) {
+            const problemas = [];
+            const dados = validateInput(IMPORT_TASK, item, '', problemas);
+            if (problemas.length > 0) {
                 falhas++;
-                erros.push({ item, motivo: 'Campo titulo ausente' });
+                erros.push({ item, motivo: problemas[0].message, errors: problemas });
                 continue;
             }
 
             try {
-                await Task.create({
-                    titulo: item.titulo,
-                    descricao: item.descricao,
-                    prioridade: item.prioridade,
-                    category: item.category,
-                    concluida: item.concluida || false,
+                const categoria = await withField('category', () => resolveTaskCategory(req.session.userId, dados.category));
+                const novaTarefa = new Task({
+                    titulo: dados.titulo,
+                    descricao: dados.descricao,
+                    prioridade: dados.prioridade,
+                    category: categoria._id,
+                    concluida: dados.concluida,
+                    tags: dados.tags,
+                    ...await withField('dataVencimento', () => parseDueDate(dados.dataVencimento, dados.horaVencimento)),
+                    // Mesmas regras do POST /api/tarefas
+                    recorrencia: await withField('recorrencia', () => normalizeRecurrence(dados.recorrencia)),
+                    responsavel: await resolveAssignee(categoria._id, dados.responsavel),
+                    itens: dados.itens || [],
                     user: req.session.userId // Atribui ao usuário logado
                 });
+                novaTarefa.$locals.autor = req.session.userId;
+                await novaTarefa.save();
                 criadas++;
             } catch (err) {
                 falhas++;
-                erros.push({ item, motivo: err.message });
+                erros.push({ item, motivo: errorMessage(err), errors: toErrorList(err) || undefined });
             }
         }
 
@@ -249,35 +627,401 @@ router.post('/tarefas/importar', isAuthenticated, async (req, res) => {
         });
 
     } catch (error) {
-        res.status(500).json({ success: false, message: 'Erro na importação', error: error.message });
+        sendError(res, error, 500);
     }
 });
 
+/**
+ * IMPORTAR CSV (FORMATO DO EXCEL BR)
+ * ===================================
+ * Rota: POST /api/tarefas/importar-csv?simular=true
+ * Corpo: { csv: "<conteúdo do arquivo>" }
+ * Descrição: Lê o mesmo formato de GET /api/tarefas/exportar (ver utils/csvImport.js).
+ * Com ?simular=true devolve a prévia linha a linha, com os erros de validação;
+ * sem, grava as linhas válidas. Linhas com o ID de uma tarefa sua atualizam a tarefa.
+ */
+const CSV_IMPORT = {
+    query: { simular: { tipo: 'boolean', padrao: false } },
+    body: {
+        csv: {
+            tipo: 'string',
+            obrigatorio: true,
+            trim: false,
+            mensagens: {
+                [CODES.OBRIGATORIO]: 'Envie o conteúdo do arquivo em { csv: "..." }.',
+                [CODES.TIPO]: 'Envie o conteúdo do arquivo em { csv: "..." }.'
+            }
+        }
+    }
+};
+
+router.post('/tarefas/importar-csv', isApiAuthenticated, isVerified, validate(CSV_IMPORT), async (req, res) => {
+    try {
+        const resultado = await importTasksCsv(Task, req.body.csv, {
+            simular: req.query.simular,
+            userId: req.session.userId,
+            resolveCategory: resolveTaskCategory,
+            canEdit: (task) => canEditTask(task, req.session)
+        });
+
+        res.json({ success: true, ...resultado });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * RESTAURAR BACKUP
+ * ===================================
+ * Rota: POST /api/tarefas/restaurar?modo=pular|sobrescrever|copiar&simular=true
+ * Corpo: o JSON baixado em GET /api/tarefas/backup
+ * Descrição: Valida o metadata e grava categorias e tarefas do backup (ver utils/backupRestore.js).
+ * Com ?simular=true apenas devolve o relatório do que seria feito, sem gravar nada.
+ * Admins com ?todos=true mantêm o dono original de cada tarefa.
+ */
+const RESTORE_QUERY = {
+    modo: { tipo: 'string', enum: MODOS, padrao: 'pular' },
+    simular: { tipo: 'boolean', padrao: false }
+};
+
+router.post('/tarefas/restaurar', isApiAuthenticated, isVerified, scopeTasksToUser, validate({ query: RESTORE_QUERY }), async (req, res) => {
+    try {
+        const relatorio = await restoreBackup({ Task, Category, taskSchema: BACKUP_TASK }, req.body, {
+            modo: req.query.modo,
+            simular: req.query.simular,
+            session: req.session,
+            manterDono: res.locals.allUsersMode
+        });
+
+        res.json({
+            success: true,
+            message: relatorio.simulacao ? 'Simulação concluída. Nada foi gravado.' : 'Restauração concluída.',
+            ...relatorio
+        });
+    } catch (error) {
+        // Erros de validação do arquivo ou do modo
+        sendError(res, error);
+    }
+});
+
+// --- ROTAS DA LIXEIRA ---
+
+// Filtro das tarefas na lixeira dentro do escopo do usuário (ou de todos, para admin em ?todos=true)
+const trashFilter = (req) => ({ ...req.taskScope, excluidaEm: { $ne: null } });
+
+/**
+ * Carrega as tarefas de `ids` que estão na lixeira e separa as que o usuário
+ * pode alterar. As demais já entram em `resultados` com o motivo da falha.
+ */
+const loadTrashedTasks = async (req, ids) => {
+    const idsValidos = ids.filter(id => mongoose.isValidObjectId(id));
+    const tarefas = await Task.find({ _id: { $in: idsValidos }, excluidaEm: { $ne: null } });
+    const resultados = [];
+    const permitidas = [];
+
+    ids.forEach(id => {
+        const task = tarefas.find(t => t._id.toString() === String(id));
+        if (!task) {
+            resultados.push({ id, success: false, message: 'Tarefa não encontrada na lixeira.' });
+        } else if (!canEditTask(task, req.session)) {
+            resultados.push({ id, success: false, message: 'Acesso negado.' });
+        } else {
+            permitidas.push(task);
+        }
+    });
+
+    return { permitidas, resultados };
+};
+
+/**
+ * LISTAR LIXEIRA
+ * ==============
+ * Rota: GET /api/tarefas/lixeira
+ * Descrição: Tarefas excluídas, das mais recentes para as mais antigas, com a
+ * data em que serão excluídas definitivamente (`expiraEm`).
+ */
+router.get('/tarefas/lixeira', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
+    try {
+        const tarefas = await Task.find(trashFilter(req))
+            .sort({ excluidaEm: -1 })
+            .populate('category', 'nome slug')
+            .lean();
+
+        const data = tarefas.map(task => ({ ...task, expiraEm: addDays(task.excluidaEm, RETENTION_DAYS) }));
+        res.json({ success: true, dias_retencao: RETENTION_DAYS, data });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * RESTAURAR DA LIXEIRA
+ * ====================
+ * Rota: POST /api/tarefas/lixeira/restaurar
+ * Corpo: { ids: [...] } (uma ou várias tarefas)
+ */
+router.post('/tarefas/lixeira/restaurar', isApiAuthenticated, validate({ body: IDS_BODY }), async (req, res) => {
+    try {
+        const { permitidas, resultados } = await loadTrashedTasks(req, req.body.ids);
+
+        for (const task of permitidas) {
+            try {
+                // A categoria pode ter sido excluída enquanto a tarefa estava na lixeira
+                if (!(await Category.exists({ _id: task.category }))) {
+                    task.category = (await resolveTaskCategory(task.user))._id;
+                }
+                await task.restoreFromTrash(req.session.userId);
+                resultados.push({ id: task._id.toString(), success: true });
+            } catch (error) {
+                resultados.push({ id: task._id.toString(), success: false, message: errorMessage(error) });
+            }
+        }
+
+        const restauradas = resultados.filter(r => r.success).length;
+        res.json({ success: true, message: `${restauradas} tarefa(s) restaurada(s).`, resultados });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * EXCLUIR DEFINITIVAMENTE
+ * =======================
+ * Rota: POST /api/tarefas/lixeira/excluir
+ * Corpo: { ids: [...] }
+ * Descrição: Exclui de vez tarefas que estão na lixeira. Não pode ser desfeito.
+ */
+router.post('/tarefas/lixeira/excluir', isApiAuthenticated, validate({ body: IDS_BODY }), async (req, res) => {
+    try {
+        const { permitidas, resultados } = await loadTrashedTasks(req, req.body.ids);
+        await Task.purgeTrashed({ _id: { $in: permitidas.map(t => t._id) } });
+        permitidas.forEach(task => resultados.push({ id: task._id.toString(), success: true }));
+
+        res.json({ success: true, message: `${permitidas.length} tarefa(s) excluída(s) definitivamente.`, resultados });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * ESVAZIAR LIXEIRA
+ * ================
+ * Rota: DELETE /api/tarefas/lixeira
+ * Descrição: Exclui de vez todas as tarefas da lixeira do usuário (admin com ?todos=true: de todos).
+ */
+router.delete('/tarefas/lixeira', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
+    try {
+        const excluidas = await Task.purgeTrashed(req.taskScope);
+        res.json({ success: true, message: `Lixeira esvaziada: ${excluidas} tarefa(s) excluída(s) definitivamente.`, excluidas });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * OPERAÇÕES EM LOTE
+ * ===================================
+ * Rota: POST /api/tarefas/lote
+ * Corpo: { operacao, ids: [...] } ou { operacao, filtro: { ...mesmos parâmetros de GET /api/tarefas } }
+ * - operacao: concluir | reabrir | prioridade (valor: "Alta") | mover (valor: categoria) | excluir (vai para a lixeira)
+ * Descrição: Aplica a operação item a item, com a mesma regra de permissão das rotas
+ * individuais (ver utils/taskAccess.js), e devolve o resultado de cada tarefa em `resultados`.
+ */
+const BULK_OPERATIONS = ['concluir', 'reabrir', 'prioridade', 'mover', 'excluir'];
+
+// Nível de acesso exigido por operação: o mesmo do PUT (mover = trocar a lista) e do DELETE
+const BULK_MIN_ACCESS = {
+    concluir: 'responsavel',
+    reabrir: 'responsavel',
+    prioridade: 'responsavel',
+    mover: 'dono',
+    excluir: 'editor'
+};
+const MAX_BULK_ITEMS = 500;
+
+const BULK_BODY = {
+    operacao: { tipo: 'string', obrigatorio: true, enum: BULK_OPERATIONS },
+    ids: { tipo: 'array', itens: { tipo: 'string' } },
+    // Os mesmos parâmetros de GET /api/tarefas, conferidos por parseTaskQuery
+    filtro: { tipo: 'object' },
+    valor: { tipo: 'string' }
+};
+
+// O filtro chega em JSON ({ "concluida": false, "prioridade": ["Alta"] }), mas parseTaskQuery
+// lê os textos da query string ("false", "Alta,Média"): converte antes
+const filterAsQuery = (filtro) => Object.fromEntries(Object.entries(filtro)
+    .filter(([, valor]) => valor !== undefined && valor !== null)
+    .map(([nome, valor]) => [nome, Array.isArray(valor) ? valor.join(',') : String(valor)]));
+
+router.post('/tarefas/lote', isApiAuthenticated, scopeTasksToUser, validate({ body: BULK_BODY }), async (req, res) => {
+    const { operacao, ids, filtro, valor } = req.body;
+
+    if (Boolean(ids) === Boolean(filtro)) {
+        return sendError(res, fieldError('ids', CODES.INVALIDO, 'Informe a lista de ids OU um filtro (apenas um dos dois).'));
+    }
+    if (operacao === 'prioridade' && !PRIORIDADES.includes(valor)) {
+        return sendError(res, fieldError('valor', CODES.ENUM, 'Informe a nova prioridade em valor: Baixa, Média ou Alta.'));
+    }
+    if (operacao === 'mover' && !valor) {
+        return sendError(res, fieldError('valor', CODES.OBRIGATORIO, 'Informe a categoria de destino em valor.'));
+    }
+
+    let tarefas;
+    const resultados = [];
+    try {
+        if (filtro) {
+            const { match } = await parseTaskQuery(filterAsQuery(filtro), { scope: req.taskScope });
+            tarefas = await Task.find(match).limit(MAX_BULK_ITEMS + 1);
+        } else {
+            const idsValidos = ids.filter(id => mongoose.isValidObjectId(id));
+            tarefas = await Task.find({ _id: { $in: idsValidos } });
+            // IDs inválidos ou de tarefas que não existem também aparecem no resultado
+            ids.filter(id => !tarefas.some(t => t._id.toString() === String(id)))
+                .forEach(id => resultados.push({ id, success: false, message: 'Tarefa não encontrada.' }));
+        }
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    if (tarefas.length > MAX_BULK_ITEMS) {
+        return sendError(res, fieldError(filtro ? 'filtro' : 'ids', CODES.TAMANHO, `No máximo ${MAX_BULK_ITEMS} tarefas por operação. Refine o filtro.`));
+    }
+
+    for (const task of tarefas) {
+        const id = task._id.toString();
+
+        task.$locals.autor = req.session.userId;
+        try {
+            if (!hasAccess(await taskAccessLevel(task, req.session), BULK_MIN_ACCESS[operacao])) {
+                resultados.push({ id, success: false, message: 'Acesso negado.' });
+                continue;
+            }
+
+            if (operacao === 'excluir') {
+                await task.moveToTrash(req.session.userId);
+            } else {
+                const estavaConcluida = task.concluida;
+                if (operacao === 'concluir') task.concluida = true;
+                if (operacao === 'reabrir') task.concluida = false;
+                if (operacao === 'prioridade') task.prioridade = valor;
+                if (operacao === 'mover') task.category = (await withField('valor', () => resolveTaskCategory(task.user, valor)))._id;
+                await task.save();
+
+                // Mesma regra do PUT: concluir uma ocorrência recorrente cria a próxima
+                if (!estavaConcluida && task.concluida) await task.spawnNextOccurrence();
+            }
+            resultados.push({ id, success: true });
+        } catch (error) {
+            resultados.push({ id, success: false, message: errorMessage(error) });
+        }
+    }
+
+    const sucesso = resultados.filter(r => r.success).length;
+    res.json({
+        success: true,
+        operacao,
+        resumo: { total: resultados.length, sucesso, falhas: resultados.length - sucesso },
+        resultados
+    });
+});
+
+/**
+ * BUSCAR UMA TAREFA
+ * =================
+ * Rota: GET /api/tarefas/:id
+ * Descrição: Retorna a tarefa com o cabeçalho ETag (a versão atual). Envie esse valor
+ * em If-Match no PUT/DELETE para não sobrescrever alterações feitas em outro lugar.
+ */
+router.get('/tarefas/:id', isApiAuthenticated, loadVisibleTask, (req, res) => {
+    sendTask(res, req.task, { acesso: req.taskAccess });
+});
+
+/**
+ * Regras de category e responsavel ao alterar uma tarefa (PUT e reversão do histórico).
+ * Trocar a lista é só do dono; escolher o responsável, de quem edita a lista. A categoria
+ * precisa ser uma das do dono da tarefa e o responsável, alguém com acesso à lista (a nova,
+ * se ela também mudou). Converte os campos em `updates` e devolve a mensagem de acesso
+ * negado, ou null.
+ */
+const applyListRules = async (task, nivel, updates) => {
+    const exigido = 'category' in updates ? 'dono' : 'responsavel' in updates ? 'editor' : null;
+    if (exigido && !hasAccess(nivel, exigido)) {
+        return exigido === 'dono' ? 'Só o dono pode mover a tarefa para outra lista.' : 'Só quem edita a lista pode escolher o responsável.';
+    }
+
+    if ('category' in updates) {
+        updates.category = (await withField('category', () => resolveTaskCategory(task.user, updates.category)))._id;
+    }
+
+    if ('responsavel' in updates || ('category' in updates && task.responsavel)) {
+        updates.responsavel = await resolveAssignee(
+            updates.category || task.category,
+            'responsavel' in updates ? updates.responsavel : task.responsavel
+        );
+    }
+    return null;
+};
+
 /**
  * ATUALIZAR TAREFA EXISTENTE (UPDATE)
  * ====================================
  * Rota: PUT /api/tarefas/:id
+ * Cabeçalho opcional: If-Match: <ETag> — se a tarefa mudou desde essa versão,
+ * responde 412 com a versão atual em `data` (e no cabeçalho ETag) e não altera nada.
  */
-router.put('/tarefas/:id', isAuthenticated, async (req, res) => {
+router.put('/tarefas/:id', isApiAuthenticated, validate({ body: UPDATE_TASK }), loadEditableTask, checkIfMatch, async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
+        const task = req.task;
 
-        if (!task) {
-            return res.status(404).json({ success: false, message: 'Tarefa não encontrada.' });
+        // req.body já passou pelo schema: só os campos de UPDATE_TASK chegam aqui.
+        // O vencimento chega como "AAAA-MM-DD" + "HH:mm" e precisa ser convertido antes de salvar
+        const updates = { ...req.body };
+        if ('dataVencimento' in updates || 'horaVencimento' in updates) {
+            Object.assign(updates, await withField('dataVencimento', () => parseDueDate(
+                'dataVencimento' in updates ? updates.dataVencimento : task.dataVencimento,
+                'horaVencimento' in updates ? updates.horaVencimento : task.horaVencimento
+            )));
         }
 
-        const userIsAdmin = req.session.userRole === 'admin';
-        const userIsOwner = task.user.toString() === req.session.userId;
+        const negado = await applyListRules(task, req.taskAccess, updates);
+        if (negado) {
+            return res.status(403).json({ success: false, message: negado });
+        }
 
-        if (!userIsAdmin && !userIsOwner) {
-            return res.status(403).json({ success: false, message: 'Acesso negado.' });
+        // Ao editar a regra, a tarefa continua na mesma série e na mesma posição. A mesma
+        // regra enviada de novo (ex: o formulário manda tudo) não mexe na série
+        if ('recorrencia' in updates) {
+            const novaRegra = await withField('recorrencia', () => normalizeRecurrence(updates.recorrencia));
+            if (sameRule(novaRegra, task.recorrencia)) {
+                delete updates.recorrencia;
+            } else {
+                updates.recorrencia = novaRegra && task.recorrencia
+                    ? { ...novaRegra, serieId: task.recorrencia.serieId, numero: task.recorrencia.numero }
+                    : novaRegra;
+            }
         }
 
-        Object.assign(task, req.body); 
+        // Um novo vencimento escolhido pelo usuário também muda o dia do mês da série
+        const novoVencimento = 'dataVencimento' in updates && String(updates.dataVencimento) !== String(task.dataVencimento);
+        if (novoVencimento && task.recorrencia && !('recorrencia' in updates)) {
+            task.recorrencia.diaDoMes = null;
+        }
+
+        const estavaConcluida = task.concluida;
+        Object.assign(task, updates); 
         await task.save();
-        res.json({ success: true, data: task });
+        // A versão conferida pelo If-Match valia só para a gravação acima
+        task.$where = null;
+
+        // Concluir uma ocorrência de tarefa recorrente cria a próxima automaticamente
+        const proximaOcorrencia = !estavaConcluida && task.concluida
+            ? await task.spawnNextOccurrence()
+            : null;
+
+        sendTask(res, task, { proximaOcorrencia });
     } catch(error) {
-        res.status(400).json({ success: false, message: error.message });
+        if (await handleVersionConflict(req, res, error)) return;
+        sendError(res, error);
     }
 });
 
@@ -285,26 +1029,513 @@ router.put('/tarefas/:id', isAuthenticated, async (req, res) => {
  * DELETAR TAREFA (DELETE)
  * ========================
  * Rota: DELETE /api/tarefas/:id
+ * Descrição: Move a tarefa para a lixeira. Ela pode ser restaurada até ser
+ * excluída de vez (à mão ou pela limpeza automática, ver scripts/purgeTrash.js).
+ * Aceita If-Match como o PUT (412 se a tarefa mudou desde a versão enviada).
  */
-router.delete('/tarefas/:id', isAuthenticated, async (req, res) => {
+router.delete('/tarefas/:id', isApiAuthenticated, loadDeletableTask, checkIfMatch, async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
+        await req.task.moveToTrash(req.session.userId);
+        res.json({ success: true, message: 'Tarefa movida para a lixeira.' });
+    } catch(error) {
+        if (await handleVersionConflict(req, res, error)) return;
+        sendError(res, error, 500);
+    }
+});
 
-        if (!task) {
-            return res.status(404).json({ success: false, message: 'Tarefa não encontrada.' });
+// --- ROTAS DE RECORRÊNCIA ---
+
+/**
+ * PULAR OCORRÊNCIA
+ * ================
+ * Rota: POST /api/tarefas/:id/recorrencia/pular
+ * Descrição: Não conclui esta ocorrência; apenas move o vencimento dela para a
+ * próxima data da série. Se a série já terminou, ela é encerrada.
+ */
+router.post('/tarefas/:id/recorrencia/pular', isApiAuthenticated, loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+        const recorrencia = task.recorrencia;
+
+        if (!recorrencia || !recorrencia.ativa) {
+            return sendError(res, fieldError('recorrencia', CODES.INVALIDO, 'Esta tarefa não faz parte de uma série ativa.'));
         }
 
-        const userIsAdmin = req.session.userRole === 'admin';
-        const userIsOwner = task.user.toString() === req.session.userId;
+        const proximaData = nextOccurrence(recorrencia, task.dataVencimento || new Date(), recorrencia.numero);
 
-        if (!userIsAdmin && !userIsOwner) {
-            return res.status(403).json({ success: false, message: 'Acesso negado.' });
+        if (!proximaData) {
+            recorrencia.ativa = false;
+            await task.save();
+            return sendTask(res, task, { message: 'Não há mais ocorrências; a série foi encerrada.' });
         }
-        
-        await Task.deleteOne({ _id: req.params.id });
-        res.json({ success: true, message: 'Tarefa excluída com sucesso.' });
-    } catch(error) {
-        res.status(500).json({ success: false, message: error.message });
+
+        task.dataVencimento = proximaData;
+        recorrencia.numero += 1;
+        await task.save();
+
+        sendTask(res, task, { message: 'Ocorrência pulada.' });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * ENCERRAR SÉRIE
+ * ==============
+ * Rota: DELETE /api/tarefas/:id/recorrencia
+ * Descrição: Para de gerar novas ocorrências para toda a série desta tarefa.
+ * As ocorrências já criadas são mantidas.
+ */
+router.delete('/tarefas/:id/recorrencia', isApiAuthenticated, loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+
+        if (!task.recorrencia) {
+            return sendError(res, fieldError('recorrencia', CODES.INVALIDO, 'Esta tarefa não é recorrente.'));
+        }
+
+        // Uma a uma (e não updateMany) para que cada ocorrência registre a revisão
+        const ocorrencias = await Task.find({
+            user: task.user,
+            'recorrencia.serieId': task.recorrencia.serieId,
+            'recorrencia.ativa': true
+        }).incluindoLixeira();
+
+        for (const ocorrencia of ocorrencias) {
+            const alvo = ocorrencia._id.equals(task._id) ? task : ocorrencia;
+            alvo.$locals.autor = req.session.userId;
+            alvo.recorrencia.ativa = false;
+            await alvo.save();
+        }
+        task.recorrencia.ativa = false;
+
+        sendTask(res, task, { message: 'Série encerrada.' });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// --- ROTAS DO HISTÓRICO DE REVISÕES ---
+
+/**
+ * HISTÓRICO DA TAREFA
+ * ===================
+ * Rota: GET /api/tarefas/:id/historico
+ * Descrição: Revisões da tarefa, da mais recente para a mais antiga, cada uma com
+ * a ação, o autor, a data e as alterações campo a campo ({ campo, de, para }).
+ */
+router.get('/tarefas/:id/historico', isApiAuthenticated, loadVisibleTask, async (req, res) => {
+    try {
+        const revisoes = await TaskRevision.find({ task: req.task._id })
+            .sort({ createdAt: -1, _id: -1 })
+            .populate('autor', 'nome')
+            .lean();
+
+        res.json({ success: true, data: revisoes });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * REVERTER PARA UMA REVISÃO
+ * =========================
+ * Rota: POST /api/tarefas/:id/historico/:revisaoId/reverter
+ * Descrição: Volta a tarefa ao estado logo após a revisão escolhida.
+ * A reversão gera uma nova revisão (ação "reverter"), então pode ser desfeita.
+ * Lista e responsável seguem as mesmas regras do PUT (ver applyListRules).
+ */
+router.post('/tarefas/:id/historico/:revisaoId/reverter', isApiAuthenticated, validate({ params: { revisaoId: { tipo: 'objectId' } } }), loadEditableTask, async (req, res) => {
+    try {
+        const estado = await req.task.revisionState(req.params.revisaoId);
+
+        if (!estado) {
+            return res.status(404).json({ success: false, message: 'Revisão não encontrada para esta tarefa.' });
+        }
+
+        const negado = await applyListRules(req.task, req.taskAccess, estado);
+        if (negado) {
+            return res.status(403).json({ success: false, message: negado });
+        }
+
+        const task = await req.task.revertTo(estado, req.session.userId);
+
+        sendTask(res, task, { message: 'Tarefa revertida.' });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// --- ROTAS DE ANEXOS (ver utils/attachmentStorage.js) ---
+
+// Os arquivos ficam em memória só até serem conferidos e entregues ao driver
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD },
+    defParamCharset: 'utf8'
+});
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: [CODES.TAMANHO, `Cada arquivo pode ter no máximo ${MAX_FILE_SIZE_MB} MB.`],
+    LIMIT_FILE_COUNT: [CODES.TAMANHO, `Envie no máximo ${MAX_FILES_PER_UPLOAD} arquivos por vez.`],
+    LIMIT_UNEXPECTED_FILE: [CODES.INVALIDO, 'Os arquivos devem ser enviados no campo "arquivos".']
+};
+
+/**
+ * Middleware que lê o multipart/form-data do campo "arquivos" para req.files,
+ * respondendo 400 no formato padrão de erro quando algum limite é estourado.
+ */
+const receiveAttachments = (req, res, next) => {
+    upload.array('arquivos', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+        if (!error) return next();
+        const [code, message] = UPLOAD_ERRORS[error.code] || [CODES.REQUISICAO, 'Não foi possível ler os arquivos enviados.'];
+        sendError(res, fieldError('arquivos', code, message));
+    });
+};
+
+const ANEXO_PARAMS = { anexoId: { tipo: 'objectId' } };
+
+/**
+ * LISTAR ANEXOS
+ * =============
+ * Rota: GET /api/tarefas/:id/anexos
+ * Descrição: Anexos da tarefa ({ _id, nome, mimeType, tamanho, enviadoPor, createdAt }).
+ */
+router.get('/tarefas/:id/anexos', isApiAuthenticated, loadVisibleTask, (req, res) => {
+    res.json({ success: true, data: req.task.anexos });
+});
+
+/**
+ * ENVIAR ANEXOS
+ * =============
+ * Rota: POST /api/tarefas/:id/anexos
+ * Corpo: multipart/form-data com um ou mais arquivos no campo "arquivos"
+ * Descrição: Aceita PDF e imagens (PNG, JPEG, GIF, WebP). O conteúdo de cada arquivo
+ * é conferido com o tipo declarado; se algum for recusado, nenhum é gravado.
+ */
+router.post('/tarefas/:id/anexos', isApiAuthenticated, isVerified, loadEditableTask, receiveAttachments, async (req, res) => {
+    const task = req.task;
+    const arquivos = req.files || [];
+    const chaves = [];
+
+    if (arquivos.length === 0) {
+        return sendError(res, fieldError('arquivos', CODES.OBRIGATORIO, 'Selecione ao menos um arquivo.'));
+    }
+    if (task.anexos.length + arquivos.length > MAX_ATTACHMENTS) {
+        return sendError(res, fieldError('arquivos', CODES.TAMANHO, `Uma tarefa pode ter no máximo ${MAX_ATTACHMENTS} anexos (esta já tem ${task.anexos.length}).`));
+    }
+
+    const recusado = arquivos.find(arquivo => !matchesSignature(arquivo.mimetype, arquivo.buffer));
+    if (recusado) {
+        const message = ALLOWED_TYPES[recusado.mimetype]
+            ? `O conteúdo de "${recusado.originalname}" não corresponde ao tipo ${recusado.mimetype}.`
+            : `Tipo de arquivo não permitido: "${recusado.originalname}". Envie PDF, PNG, JPEG, GIF ou WebP.`;
+        return sendError(res, fieldError('arquivos', CODES.ENUM, message));
+    }
+
+    try {
+        for (const arquivo of arquivos) {
+            const chave = await getStorage().salvar(arquivo.buffer, {
+                prefixo: String(task.user),
+                extensao: ALLOWED_TYPES[arquivo.mimetype].extensao
+            });
+            chaves.push(chave);
+            task.anexos.push({
+                nome: arquivo.originalname,
+                mimeType: arquivo.mimetype,
+                tamanho: arquivo.size,
+                chave,
+                enviadoPor: req.session.userId
+            });
+        }
+        await task.save();
+
+        sendTask(res, task, {}, 201);
+    } catch (error) {
+        // Nada fica órfão no disco se a gravação da tarefa falhar
+        await removeFiles(chaves);
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * BAIXAR ANEXO
+ * ============
+ * Rota: GET /api/tarefas/:id/anexos/:anexoId
+ * Descrição: Envia o arquivo com o nome original. Só quem tem acesso à tarefa
+ * (o dono, um admin ou alguém da lista compartilhada) consegue baixar.
+ */
+router.get('/tarefas/:id/anexos/:anexoId', isApiAuthenticated, validate({ params: ANEXO_PARAMS }), loadVisibleTask, (req, res) => {
+    const anexo = req.task.anexos.id(req.params.anexoId);
+
+    if (!anexo) {
+        return res.status(404).json({ success: false, message: 'Anexo não encontrado.' });
+    }
+
+    let stream;
+    try {
+        stream = getStorage().abrir(anexo.chave);
+    } catch (error) {
+        return sendError(res, error, 500);
+    }
+
+    stream.on('error', (error) => {
+        console.error(`Erro ao ler o anexo ${anexo.chave}:`, error.message);
+        if (res.headersSent) return res.destroy();
+        ['Content-Type', 'Content-Length', 'Content-Disposition'].forEach(nome => res.removeHeader(nome));
+        res.status(404).json({ success: false, message: 'O arquivo deste anexo não está mais disponível.' });
+    });
+
+    res.set({
+        'Content-Type': anexo.mimeType,
+        'Content-Length': anexo.tamanho,
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.attachment(anexo.nome);
+    stream.pipe(res);
+});
+
+/**
+ * REMOVER ANEXO
+ * =============
+ * Rota: DELETE /api/tarefas/:id/anexos/:anexoId
+ * Descrição: Tira o anexo da tarefa e apaga o arquivo do armazenamento.
+ */
+router.delete('/tarefas/:id/anexos/:anexoId', isApiAuthenticated, validate({ params: ANEXO_PARAMS }), loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+        const anexo = task.anexos.id(req.params.anexoId);
+
+        if (!anexo) {
+            return res.status(404).json({ success: false, message: 'Anexo não encontrado.' });
+        }
+
+        anexo.deleteOne();
+        await task.save();
+        await removeFiles([anexo.chave]);
+
+        sendTask(res, task, { message: 'Anexo removido.' });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// --- ROTAS DE COMENTÁRIOS ---
+
+const COMMENT_BODY = { texto: { tipo: 'string', obrigatorio: true, max: Comment.MAX_TEXT_LENGTH } };
+const COMMENT_PARAMS = { comentarioId: { tipo: 'objectId' } };
+
+/**
+ * Middleware (depois de loadVisibleTask) que carrega o comentário de :comentarioId
+ * em req.comment. Só o autor do comentário ou um admin podem alterá-lo.
+ */
+const loadEditableComment = async (req, res, next) => {
+    try {
+        const comment = await Comment.findOne({ _id: req.params.comentarioId, task: req.task._id });
+
+        if (!comment) {
+            return res.status(404).json({ success: false, message: 'Comentário não encontrado.' });
+        }
+
+        const userIsAuthor = comment.autor.toString() === String(req.session.userId);
+        if (!userIsAuthor && req.session.userRole !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Só o autor do comentário pode alterá-lo.' });
+        }
+
+        req.comment = comment;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * LISTAR COMENTÁRIOS
+ * ==================
+ * Rota: GET /api/tarefas/:id/comentarios
+ * Descrição: Comentários da tarefa em ordem cronológica, com o nome do autor.
+ */
+router.get('/tarefas/:id/comentarios', isApiAuthenticated, loadVisibleTask, async (req, res) => {
+    try {
+        const comentarios = await Comment.find({ task: req.task._id })
+            .sort({ createdAt: 1, _id: 1 })
+            .populate('autor', 'nome')
+            .lean();
+
+        res.json({ success: true, data: comentarios });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * NOVO COMENTÁRIO
+ * ===============
+ * Rota: POST /api/tarefas/:id/comentarios
+ * Corpo: { texto }
+ * Descrição: O autor é sempre o usuário logado.
+ */
+router.post('/tarefas/:id/comentarios', isApiAuthenticated, validate({ body: COMMENT_BODY }), loadVisibleTask, async (req, res) => {
+    try {
+        const comment = await Comment.create({
+            task: req.task._id,
+            autor: req.session.userId,
+            texto: req.body.texto
+        });
+        await comment.populate('autor', 'nome');
+
+        res.status(201).json({ success: true, data: comment });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * EDITAR COMENTÁRIO
+ * =================
+ * Rota: PUT /api/tarefas/:id/comentarios/:comentarioId
+ * Corpo: { texto }
+ */
+router.put('/tarefas/:id/comentarios/:comentarioId', isApiAuthenticated, validate({ params: COMMENT_PARAMS, body: COMMENT_BODY }), loadVisibleTask, loadEditableComment, async (req, res) => {
+    try {
+        const comment = req.comment;
+
+        if (comment.texto !== req.body.texto) {
+            comment.texto = req.body.texto;
+            comment.editadoEm = new Date();
+            await comment.save();
+        }
+        await comment.populate('autor', 'nome');
+
+        res.json({ success: true, data: comment });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * EXCLUIR COMENTÁRIO
+ * ==================
+ * Rota: DELETE /api/tarefas/:id/comentarios/:comentarioId
+ */
+router.delete('/tarefas/:id/comentarios/:comentarioId', isApiAuthenticated, validate({ params: COMMENT_PARAMS }), loadVisibleTask, loadEditableComment, async (req, res) => {
+    try {
+        await req.comment.deleteOne();
+        res.json({ success: true, message: 'Comentário excluído.' });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// --- ROTAS DO CHECKLIST (ITENS DENTRO DE UMA TAREFA) ---
+
+/**
+ * ADICIONAR ITEM AO CHECKLIST
+ * ===========================
+ * Rota: POST /api/tarefas/:id/itens
+ * Corpo: { texto }
+ */
+router.post('/tarefas/:id/itens', isApiAuthenticated, validate({ body: { texto: { ...ITEM_TEXT, obrigatorio: true } } }), loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+
+        task.itens.push({
+            texto: req.body.texto,
+            posicao: task.itens.length
+        });
+        await task.save();
+
+        sendTask(res, task, {}, 201);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * REORDENAR ITENS DO CHECKLIST
+ * ============================
+ * Rota: PUT /api/tarefas/:id/itens/ordem
+ * Corpo: { ordem: [idDoItem1, idDoItem2, ...] } (todos os itens, na nova ordem)
+ */
+const ORDER_BODY = { ordem: { tipo: 'array', obrigatorio: true, itens: { tipo: 'objectId' } } };
+
+router.put('/tarefas/:id/itens/ordem', isApiAuthenticated, validate({ body: ORDER_BODY }), loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+        const idsRecebidos = req.body.ordem;
+        const idsAtuais = task.itens.map(item => item._id.toString()).sort();
+
+        if (idsRecebidos.length !== idsAtuais.length || [...idsRecebidos].sort().join() !== idsAtuais.join()) {
+            return sendError(res, fieldError('ordem', CODES.INVALIDO, 'A ordem deve conter exatamente os IDs de todos os itens da tarefa.'));
+        }
+
+        idsRecebidos.forEach((itemId, index) => {
+            task.itens.id(itemId).posicao = index;
+        });
+        task.renumberItens();
+        await task.save();
+
+        sendTask(res, task);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * ATUALIZAR / MARCAR ITEM DO CHECKLIST
+ * ====================================
+ * Rota: PUT /api/tarefas/:id/itens/:itemId
+ * Corpo: { concluido?, texto? } — sem nenhum dos dois, o estado do item é invertido (toggle)
+ */
+const ITEM_PARAMS = { itemId: { tipo: 'objectId' } };
+const ITEM_UPDATE = { concluido: { tipo: 'boolean' }, texto: ITEM_TEXT };
+
+router.put('/tarefas/:id/itens/:itemId', isApiAuthenticated, validate({ params: ITEM_PARAMS, body: ITEM_UPDATE }), loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+        const item = task.itens.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item não encontrado.' });
+        }
+
+        if (typeof req.body.concluido === 'boolean') {
+            item.concluido = req.body.concluido;
+        } else if (req.body.texto === undefined) {
+            item.concluido = !item.concluido;
+        }
+        if (req.body.texto !== undefined) {
+            item.texto = req.body.texto;
+        }
+        await task.save();
+
+        sendTask(res, task);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * REMOVER ITEM DO CHECKLIST
+ * =========================
+ * Rota: DELETE /api/tarefas/:id/itens/:itemId
+ */
+router.delete('/tarefas/:id/itens/:itemId', isApiAuthenticated, validate({ params: ITEM_PARAMS }), loadEditableTask, async (req, res) => {
+    try {
+        const task = req.task;
+        const item = task.itens.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item não encontrado.' });
+        }
+
+        item.deleteOne();
+        task.renumberItens();
+        await task.save();
+
+        sendTask(res, task);
+    } catch (error) {
+        sendError(res, error, 500);
     }
 });
 
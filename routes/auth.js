@@ -1,14 +1,151 @@
 const express = require('express');
 const router = express.Router();
+const QRCode = require('qrcode');
 const User = require('../models/user'); // Importa o modelo de usuário que criamos
-const { isGuest } = require('../middleware/authMiddleware');
+const AuthToken = require('../models/authToken');
+const AccessToken = require('../models/accessToken');
+const { isAuthenticated, isGuest } = require('../middleware/authMiddleware');
+const { issueCsrfToken } = require('../middleware/csrfMiddleware');
+const { CODES, validate, toErrorList } = require('../utils/validation');
+const { sendMail } = require('../utils/mailer');
+const { endUserSessions } = require('../utils/userSessions');
+const { checkThrottle, checkLockout, registerFailure, registerSuccess, unlockAccount, blockedMessage } = require('../utils/loginGuard');
+const { generateSecret, verifyTotp, otpauthUrl, generateRecoveryCodes } = require('../utils/totp');
+
+// Validade do link de redefinição de senha e do link de confirmação do e-mail
+const RESET_TOKEN_MINUTES = 60;
+const VERIFY_TOKEN_MINUTES = 24 * 60;
+// Intervalo mínimo entre dois reenvios do link de confirmação
+const RESEND_COOLDOWN_SECONDS = 60;
+// Tempo para digitar o código do segundo fator depois de acertar a senha
+const PENDING_LOGIN_MINUTES = 5;
+// Nome da conta no aplicativo autenticador
+const TOTP_ISSUER = 'Aplicativo Híbrido';
+
+// ============================================================================
+// SCHEMAS DOS FORMULÁRIOS (ver utils/validation.js)
+// ============================================================================
+
+// Só estes campos chegam às rotas; um objeto no lugar de um texto (ex: email[$ne]=) é recusado
+const CADASTRO_SCHEMA = {
+    nome: { tipo: 'string', obrigatorio: true, max: 80, mensagens: { [CODES.OBRIGATORIO]: 'O nome é obrigatório.' } },
+    telefone: {
+        tipo: 'string',
+        obrigatorio: true,
+        formato: /^[\d\s()+-]{8,20}$/,
+        mensagens: { [CODES.OBRIGATORIO]: 'O telefone é obrigatório.', [CODES.FORMATO]: 'Informe um telefone válido (apenas números, espaços, parênteses, + e -).' }
+    },
+    email: {
+        tipo: 'string',
+        obrigatorio: true,
+        max: 254,
+        formato: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        mensagens: { [CODES.OBRIGATORIO]: 'O e-mail é obrigatório.', [CODES.FORMATO]: 'Por favor, insira um e-mail válido.' }
+    },
+    password: {
+        tipo: 'string',
+        obrigatorio: true,
+        trim: false,
+        min: 6,
+        max: 128,
+        mensagens: { [CODES.OBRIGATORIO]: 'A senha é obrigatória.', [CODES.TAMANHO]: 'A senha deve ter entre 6 e 128 caracteres.' }
+    }
+};
+
+const ESQUECI_SENHA_SCHEMA = {
+    email: CADASTRO_SCHEMA.email
+};
+
+const REDEFINIR_SENHA_SCHEMA = {
+    password: CADASTRO_SCHEMA.password,
+    confirmacao: { tipo: 'string', obrigatorio: true, trim: false, mensagens: { [CODES.OBRIGATORIO]: 'Confirme a nova senha.' } }
+};
+
+const CODIGO_SCHEMA = {
+    codigo: { tipo: 'string', obrigatorio: true, max: 20, mensagens: { [CODES.OBRIGATORIO]: 'Informe o código.' } }
+};
+
+const SENHA_ATUAL_SCHEMA = {
+    password: { tipo: 'string', obrigatorio: true, trim: false, mensagens: { [CODES.OBRIGATORIO]: 'Informe a sua senha atual.' } }
+};
+
+// Validade em dias ('nunca' = não expira)
+const VALIDADES_TOKEN = { 30: 30, 90: 90, 365: 365, nunca: null };
+
+const NOVO_TOKEN_SCHEMA = {
+    nome: { tipo: 'string', obrigatorio: true, max: 60, mensagens: { [CODES.OBRIGATORIO]: 'Dê um nome ao token (ex: "Celular").' } },
+    escopo: { tipo: 'string', padrao: 'leitura', enum: AccessToken.ESCOPOS },
+    validade: { tipo: 'string', padrao: '90', enum: Object.keys(VALIDADES_TOKEN) }
+};
+
+const LOGIN_SCHEMA = {
+    email: { tipo: 'string', obrigatorio: true, mensagens: { [CODES.OBRIGATORIO]: 'Informe o e-mail.', [CODES.TIPO]: 'E-mail ou senha inválidos.' } },
+    password: { tipo: 'string', obrigatorio: true, trim: false, mensagens: { [CODES.OBRIGATORIO]: 'Informe a senha.', [CODES.TIPO]: 'E-mail ou senha inválidos.' } }
+};
+
+// Devolve o formulário com a primeira mensagem de erro e os campos já preenchidos (nunca a senha)
+const renderFormErrors = (view, title, description) => (req, res, errors) => {
+    const texto = (valor) => (typeof valor === 'string' ? valor : '');
+    res.status(400).render(view, {
+        title,
+        description,
+        error: errors[0].message,
+        errors,
+        nome: texto(req.body.nome),
+        telefone: texto(req.body.telefone),
+        email: texto(req.body.email)
+    });
+};
+
+// Guarda na SESSÃO as informações do usuário que acabou de entrar. A sessão é recriada
+// antes (novo ID e novo token anti-CSRF): um ID ou token visto antes de entrar não vale depois
+const startSession = (req, user) => new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+        if (err) return reject(err);
+
+        req.session.userId = user._id;
+        req.session.userRole = user.role;
+        req.session.userName = user.nome;
+        req.session.emailVerificado = user.emailVerificado;
+        resolve();
+    });
+});
+
+// Endereço do site nos links dos e-mails (APP_URL). O cabeçalho Host NÃO é usado: quem
+// pede um link em nome de outra pessoa poderia apontá-lo para o próprio site e ficar com
+// o token. Em produção, sem APP_URL, nenhum link é enviado; em desenvolvimento vale localhost.
+const appUrl = () => {
+    if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('APP_URL não definida: os links dos e-mails não podem ser gerados.');
+    }
+    return `http://localhost:${process.env.PORT || 3000}`;
+};
+
+// Gera um novo link de confirmação (invalidando os anteriores) e o envia para o e-mail da conta
+const sendVerificationEmail = async (user) => {
+    const link = appUrl();
+    const token = await AuthToken.issue(user._id, 'verificar-email', VERIFY_TOKEN_MINUTES);
+    await sendMail({
+        para: user.email,
+        assunto: 'Confirme o seu e-mail',
+        texto: [
+            `Olá, ${user.nome}!`,
+            '',
+            'Para confirmar que este e-mail é seu e liberar todos os recursos da sua conta, acesse:',
+            `${link}/verificar-email/${token}`,
+            '',
+            `O link vale por ${VERIFY_TOKEN_MINUTES / 60} horas. Se você não criou esta conta, ignore este e-mail.`
+        ].join('\n')
+    });
+};
 
 // ============================================================================
 //  ROTA DE CADASTRO (GET E POST)
 // ============================================================================
 
 // Rota para MOSTRAR o formulário de cadastro
-router.get('/cadastro', isGuest, (req, res) => {
+router.get('/cadastro', isGuest, issueCsrfToken, (req, res) => {
     res.render('cadastro', {
         title: 'Cadastro de Usuário',
         description: 'Crie sua conta para acessar o sistema.',
@@ -17,12 +154,14 @@ router.get('/cadastro', isGuest, (req, res) => {
 });
 
 // Rota para PROCESSAR o formulário de cadastro
-router.post('/cadastro', async (req, res) => {
+router.post('/cadastro', validate({ body: CADASTRO_SCHEMA }, {
+    onError: renderFormErrors('cadastro', 'Cadastro de Usuário', 'Crie sua conta para acessar o sistema.')
+}), async (req, res) => {
     try {
         const { nome, telefone, email, password } = req.body;
 
-        // Verifica se o e-mail já existe no banco de dados
-        const userExists = await User.findOne({ email });
+        // Verifica se o e-mail já existe no banco de dados (o modelo guarda em minúsculas)
+        const userExists = await User.findOne({ email: email.toLowerCase() });
         if (userExists) {
             // Se o usuário já existe, retorna para a página de cadastro com um erro
             return res.render('cadastro', {
@@ -39,21 +178,33 @@ router.post('/cadastro', async (req, res) => {
             nome,
             telefone,
             email,
-            password // A senha será criptografada automaticamente pelo hook 'pre-save' no modelo
+            password, // A senha será criptografada automaticamente pelo hook 'pre-save' no modelo
+            emailVerificado: false // Até abrir o link enviado por e-mail
         });
 
         await newUser.save();
 
+        // Se o envio falhar, a conta já existe: o link pode ser reenviado depois do login
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (error) {
+            console.error("Erro ao enviar o e-mail de confirmação:", error);
+        }
+
         // Redireciona para a página de login com uma mensagem de sucesso
         res.redirect('/login?status=success');
 
     } catch (error) {
-        // Se houver outro erro (ex: validação do modelo)
-        res.render('cadastro', {
+        // Se houver outro erro (ex: validação do modelo), mostra a mensagem em pt-BR do campo
+        const errors = toErrorList(error);
+        if (!errors) console.error("Erro durante o POST /cadastro:", error);
+        res.status(errors ? 400 : 500).render('cadastro', {
             title: 'Cadastro de Usuário',
             // MODIFICADO: Adicionado 'description'
             description: 'Crie sua conta para acessar o sistema.',
-            error: error.message || 'Ocorreu um erro ao tentar criar a conta.'
+            error: errors ? errors[0].message : 'Ocorreu um erro ao tentar criar a conta.',
+            errors,
+            nome: req.body.nome, telefone: req.body.telefone, email: req.body.email
         });
     }
 });
@@ -62,25 +213,56 @@ router.post('/cadastro', async (req, res) => {
 // ROTA DE LOGIN (GET E POST)
 // ============================================================================
 
+// Avisos mostrados no login depois de um redirecionamento (?status=)
+const LOGIN_STATUS = {
+    success: 'Conta criada com sucesso! Enviamos um link para confirmar o seu e-mail. Faça login para continuar.',
+    'senha-redefinida': 'Senha alterada! Entre com a nova senha. Os tokens de acesso à API foram revogados.',
+    'email-verificado': 'E-mail confirmado! Faça login para continuar.'
+};
+
 // Rota para MOSTRAR o formulário de login
-router.get('/login', isGuest, (req, res) => { 
+router.get('/login', isGuest, issueCsrfToken, (req, res) => { 
     res.render('login', {
         title: 'Login',
         description: 'Acesse sua conta.',
+        success_msg: LOGIN_STATUS[req.query.status],
         layout: 'layout'
     });
 });
 
 // Rota para PROCESSAR o formulário de login
-router.post('/login', async (req, res) => {
+router.post('/login', validate({ body: LOGIN_SCHEMA }, {
+    onError: renderFormErrors('login', 'Login', 'Acesse sua conta.')
+}), async (req, res) => {
     try {
         const { email, password } = req.body;
+        const tentativa = { ip: req.ip, email };
 
-        // Procura o usuário pelo e-mail
-        const user = await User.findOne({ email });
+        // Muitas falhas recentes deste IP ou para este e-mail: nem confere a senha
+        const limite = checkThrottle(tentativa);
+        if (limite) {
+            return res.status(429).render('login', {
+                title: 'Login',
+                description: 'Acesse sua conta.',
+                error: blockedMessage(limite)
+            });
+        }
+
+        // Procura o usuário pelo e-mail (o modelo guarda em minúsculas)
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        const bloqueio = checkLockout(user);
+        if (bloqueio) {
+            return res.status(429).render('login', {
+                title: 'Login',
+                description: 'Acesse sua conta.',
+                error: blockedMessage(bloqueio)
+            });
+        }
 
         // Se o usuário não for encontrado OU a senha não bater...
         if (!user || !(await user.matchPassword(password))) {
+            await registerFailure(tentativa, user);
             return res.render('login', {
                 title: 'Login',
                 // MODIFICADO: Adicionado 'description'
@@ -89,10 +271,30 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        // Conta desativada por um admin (ver /admin)
+        if (user.ativo === false) {
+            return res.status(403).render('login', {
+                title: 'Login',
+                description: 'Acesse sua conta.',
+                error: 'Esta conta foi desativada. Fale com um administrador.'
+            });
+        }
+
+        // Com dois fatores, a senha certa só leva ao segundo passo. As falhas não são
+        // zeradas aqui: quem sabe a senha não ganha tentativas extras para o código.
+        if (user.doisFatores && user.doisFatores.ativo) {
+            req.session.loginPendente = {
+                userId: String(user._id),
+                email: user.email,
+                expiraEm: Date.now() + PENDING_LOGIN_MINUTES * 60 * 1000
+            };
+            return res.redirect('/login/2fa');
+        }
+
+        await registerSuccess(tentativa, user);
+
         // Se tudo estiver correto, armazena as informações do usuário na SESSÃO
-        req.session.userId = user._id;
-        req.session.userRole = user.role;
-        req.session.userName = user.nome;
+        await startSession(req, user);
 
         // Redireciona o usuário para a página de tarefas
         res.redirect('/tarefas');
@@ -110,6 +312,510 @@ router.post('/login', async (req, res) => {
 });
 
 
+// ============================================================================
+// SEGUNDO PASSO DO LOGIN (DOIS FATORES)
+// ============================================================================
+
+// Login que acertou a senha e espera o código, ou null (e some da sessão) se venceu
+const pendingLogin = (req) => {
+    const pendente = req.session.loginPendente;
+    if (pendente && pendente.expiraEm > Date.now()) return pendente;
+    delete req.session.loginPendente;
+    return null;
+};
+
+const renderSecondStep = (res, status, dados = {}) => res.status(status).render('login-2fa', {
+    title: 'Verificação em duas etapas',
+    description: 'Confirme que é você.',
+    ...dados
+});
+
+// Rota para MOSTRAR o campo do código
+router.get('/login/2fa', isGuest, issueCsrfToken, (req, res) => {
+    if (!pendingLogin(req)) return res.redirect('/login');
+    renderSecondStep(res, 200);
+});
+
+// Rota para CONFERIR o código (do aplicativo ou de recuperação), com os mesmos
+// limites de tentativas do login com senha
+router.post('/login/2fa', isGuest, validate({ body: CODIGO_SCHEMA }, {
+    onError: (req, res, errors) => renderSecondStep(res, 400, { error: errors[0].message })
+}), async (req, res) => {
+    try {
+        const pendente = pendingLogin(req);
+        if (!pendente) return res.redirect('/login');
+
+        const tentativa = { ip: req.ip, email: pendente.email };
+        const limite = checkThrottle(tentativa);
+        if (limite) {
+            return renderSecondStep(res, 429, { error: blockedMessage(limite) });
+        }
+
+        const user = await User.findById(pendente.userId).select(User.TWO_FACTOR_FIELDS);
+        if (!user || user.ativo === false || !user.doisFatores.ativo) {
+            delete req.session.loginPendente;
+            return res.redirect('/login');
+        }
+
+        const bloqueio = checkLockout(user);
+        if (bloqueio) {
+            delete req.session.loginPendente;
+            return res.status(429).render('login', {
+                title: 'Login',
+                description: 'Acesse sua conta.',
+                error: blockedMessage(bloqueio)
+            });
+        }
+
+        const metodo = user.matchSecondFactor(req.body.codigo);
+        if (!metodo) {
+            await registerFailure(tentativa, user);
+            return renderSecondStep(res, 400, { error: 'Código inválido ou já usado.' });
+        }
+
+        // Grava o passo usado (ou o código de recuperação descartado)
+        await user.save();
+        delete req.session.loginPendente;
+        await registerSuccess(tentativa, user);
+        await startSession(req, user);
+
+        // Quem usou um código de recuperação vê quantos ainda restam
+        res.redirect(metodo === 'recuperacao' ? '/conta/seguranca?status=codigo-recuperacao' : '/tarefas');
+
+    } catch (error) {
+        console.error("Erro durante o POST /login/2fa:", error);
+        renderSecondStep(res, 500, { error: 'Ocorreu um erro ao conferir o código.' });
+    }
+});
+
+// ============================================================================
+// SEGURANÇA DA CONTA (ATIVAR/DESATIVAR DOIS FATORES)
+// ============================================================================
+
+// Avisos mostrados na página depois de um redirecionamento (?status=)
+const SEGURANCA_STATUS = {
+    'codigo-recuperacao': 'Você entrou com um código de recuperação, que não vale mais. Se estiver acabando, gere códigos novos.'
+};
+
+const loadSecurityUser = (req) => User.findById(req.session.userId).select(User.TWO_FACTOR_FIELDS);
+
+const renderSecurityPage = (res, status, user, dados = {}) => res.status(status).render('seguranca', {
+    title: 'Segurança da conta',
+    description: 'Proteja o seu login com a verificação em duas etapas.',
+    doisFatoresAtivo: user.doisFatores.ativo,
+    codigosRestantes: user.doisFatores.codigosRecuperacao.length,
+    ...dados
+});
+
+// Dados da tela de ativação: QR code e o segredo para digitar à mão
+const enrollmentData = async (user) => {
+    const url = otpauthUrl({ segredo: user.doisFatores.segredoPendente, conta: user.email, emissor: TOTP_ISSUER });
+    return {
+        configurando: true,
+        qrCode: await QRCode.toDataURL(url),
+        segredo: user.doisFatores.segredoPendente.match(/.{1,4}/g).join(' ')
+    };
+};
+
+const renderSecurityError = (res, rota, error) => {
+    console.error(`Erro durante o ${rota}:`, error);
+    res.status(500).render('500', {
+        title: 'Erro de Servidor',
+        description: 'Ocorreu um erro interno.'
+    });
+};
+
+// Rota para MOSTRAR a situação dos dois fatores
+router.get('/conta/seguranca', isAuthenticated, async (req, res) => {
+    try {
+        const user = await loadSecurityUser(req);
+        renderSecurityPage(res, 200, user, { success_msg: SEGURANCA_STATUS[req.query.status] });
+    } catch (error) {
+        renderSecurityError(res, 'GET /conta/seguranca', error);
+    }
+});
+
+// Rota para COMEÇAR a ativação: gera um segredo novo e mostra o QR code
+router.post('/conta/seguranca/2fa/iniciar', isAuthenticated, async (req, res) => {
+    try {
+        const user = await loadSecurityUser(req);
+        if (user.doisFatores.ativo) return res.redirect('/conta/seguranca');
+
+        user.doisFatores.segredoPendente = generateSecret();
+        await user.save();
+
+        renderSecurityPage(res, 200, user, await enrollmentData(user));
+    } catch (error) {
+        renderSecurityError(res, 'POST /conta/seguranca/2fa/iniciar', error);
+    }
+});
+
+// Rota para CONFIRMAR a ativação com o primeiro código do aplicativo.
+// Os códigos de recuperação são mostrados uma única vez, nesta resposta.
+router.post('/conta/seguranca/2fa/confirmar', isAuthenticated, validate({ body: CODIGO_SCHEMA }, {
+    onError: (req, res) => res.redirect('/conta/seguranca')
+}), async (req, res) => {
+    try {
+        const user = await loadSecurityUser(req);
+        if (user.doisFatores.ativo || !user.doisFatores.segredoPendente) return res.redirect('/conta/seguranca');
+
+        const passo = verifyTotp(user.doisFatores.segredoPendente, req.body.codigo);
+        if (passo === null) {
+            return renderSecurityPage(res, 400, user, {
+                ...(await enrollmentData(user)),
+                error: 'Código inválido. Confira se o relógio do celular está certo e tente o código atual.'
+            });
+        }
+
+        const { codigos, hashes } = generateRecoveryCodes();
+        user.doisFatores = {
+            ativo: true,
+            segredo: user.doisFatores.segredoPendente,
+            segredoPendente: null,
+            codigosRecuperacao: hashes,
+            ultimoPasso: passo
+        };
+        await user.save();
+
+        renderSecurityPage(res, 200, user, { codigosNovos: codigos, success_msg: 'Verificação em duas etapas ativada!' });
+    } catch (error) {
+        renderSecurityError(res, 'POST /conta/seguranca/2fa/confirmar', error);
+    }
+});
+
+// Rota para GERAR novos códigos de recuperação (os antigos deixam de valer)
+router.post('/conta/seguranca/2fa/codigos', isAuthenticated, validate({ body: CODIGO_SCHEMA }, {
+    onError: (req, res) => res.redirect('/conta/seguranca')
+}), async (req, res) => {
+    try {
+        const user = await loadSecurityUser(req);
+        if (!user.doisFatores.ativo) return res.redirect('/conta/seguranca');
+
+        if (user.matchSecondFactor(req.body.codigo) !== 'totp') {
+            return renderSecurityPage(res, 400, user, { error: 'Informe o código atual do aplicativo autenticador.' });
+        }
+
+        const { codigos, hashes } = generateRecoveryCodes();
+        user.doisFatores.codigosRecuperacao = hashes;
+        await user.save();
+
+        renderSecurityPage(res, 200, user, { codigosNovos: codigos, success_msg: 'Novos códigos de recuperação gerados.' });
+    } catch (error) {
+        renderSecurityError(res, 'POST /conta/seguranca/2fa/codigos', error);
+    }
+});
+
+// Rota para DESATIVAR, confirmando a senha atual
+router.post('/conta/seguranca/2fa/desativar', isAuthenticated, validate({ body: SENHA_ATUAL_SCHEMA }, {
+    onError: (req, res) => res.redirect('/conta/seguranca')
+}), async (req, res) => {
+    try {
+        const user = await loadSecurityUser(req);
+        if (!(await user.matchPassword(req.body.password))) {
+            return renderSecurityPage(res, 400, user, { error: 'Senha incorreta.' });
+        }
+
+        user.resetTwoFactor();
+        await user.save();
+
+        renderSecurityPage(res, 200, user, { success_msg: 'Verificação em duas etapas desativada.' });
+    } catch (error) {
+        renderSecurityError(res, 'POST /conta/seguranca/2fa/desativar', error);
+    }
+});
+
+// ============================================================================
+// TOKENS DE ACESSO À API
+// ============================================================================
+
+// Avisos mostrados na página depois de um redirecionamento (?status=)
+const TOKENS_STATUS = {
+    revogado: 'Token revogado. Os clientes que o usavam perdem o acesso na hora.'
+};
+
+const renderTokensPage = async (req, res, status, dados = {}) => {
+    const tokens = await AccessToken.find({ user: req.session.userId }).sort({ createdAt: -1 });
+    res.status(status).render('tokens', {
+        title: 'Tokens de acesso',
+        description: 'Acesse a API pelo app mobile ou por scripts, sem o cookie do navegador.',
+        tokens,
+        ...dados
+    });
+};
+
+// Rota para MOSTRAR os tokens do usuário
+router.get('/conta/tokens', isAuthenticated, async (req, res) => {
+    try {
+        await renderTokensPage(req, res, 200, { success_msg: TOKENS_STATUS[req.query.status] });
+    } catch (error) {
+        renderSecurityError(res, 'GET /conta/tokens', error);
+    }
+});
+
+// Rota para CRIAR um token. O texto dele aparece uma única vez, nesta resposta.
+router.post('/conta/tokens', isAuthenticated, validate({ body: NOVO_TOKEN_SCHEMA }, {
+    onError: async (req, res, errors) => {
+        try {
+            await renderTokensPage(req, res, 400, { error: errors[0].message });
+        } catch (error) {
+            renderSecurityError(res, 'POST /conta/tokens', error);
+        }
+    }
+}), async (req, res) => {
+    try {
+        const total = await AccessToken.countDocuments({ user: req.session.userId });
+        if (total >= AccessToken.MAX_TOKENS_PER_USER) {
+            return await renderTokensPage(req, res, 400, {
+                error: `Limite de ${AccessToken.MAX_TOKENS_PER_USER} tokens atingido. Revogue algum antes de criar outro.`
+            });
+        }
+
+        const { token, registro } = await AccessToken.issue(req.session.userId, {
+            nome: req.body.nome,
+            escopo: req.body.escopo,
+            dias: VALIDADES_TOKEN[req.body.validade]
+        });
+        await renderTokensPage(req, res, 201, { tokenNovo: token, tokenNovoNome: registro.nome });
+    } catch (error) {
+        const errors = toErrorList(error);
+        if (!errors) {
+            return renderSecurityError(res, 'POST /conta/tokens', error);
+        }
+        renderTokensPage(req, res, 400, { error: errors[0].message })
+            .catch(renderError => renderSecurityError(res, 'POST /conta/tokens', renderError));
+    }
+});
+
+// Rota para REVOGAR (excluir) um token do usuário
+router.post('/conta/tokens/:id/revogar', isAuthenticated, validate({ params: { id: { tipo: 'objectId' } } }, {
+    onError: (req, res) => res.redirect('/conta/tokens')
+}), async (req, res) => {
+    try {
+        await AccessToken.deleteOne({ _id: req.params.id, user: req.session.userId });
+        res.redirect('/conta/tokens?status=revogado');
+    } catch (error) {
+        renderSecurityError(res, 'POST /conta/tokens/:id/revogar', error);
+    }
+});
+
+// ============================================================================
+// ESQUECI MINHA SENHA (GET E POST)
+// ============================================================================
+
+const sendResetEmail = (user, link) => sendMail({
+    para: user.email,
+    assunto: 'Redefinição de senha',
+    texto: [
+        `Olá, ${user.nome}!`,
+        '',
+        'Recebemos um pedido para redefinir a sua senha. Para criar uma nova, acesse:',
+        link,
+        '',
+        `O link vale por ${RESET_TOKEN_MINUTES} minutos e só pode ser usado uma vez.`,
+        'Se você não fez este pedido, ignore este e-mail: a sua senha continua a mesma.'
+    ].join('\n')
+});
+
+// Rota para MOSTRAR o formulário que pede o e-mail
+router.get('/esqueci-senha', isGuest, issueCsrfToken, (req, res) => {
+    res.render('esqueci-senha', {
+        title: 'Esqueci minha senha',
+        description: 'Receba um link para criar uma nova senha.',
+        layout: 'layout'
+    });
+});
+
+// Rota para ENVIAR o link. A resposta é a mesma exista ou não uma conta com o e-mail,
+// para que a página não sirva para descobrir quem está cadastrado.
+router.post('/esqueci-senha', isGuest, validate({ body: ESQUECI_SENHA_SCHEMA }, {
+    onError: renderFormErrors('esqueci-senha', 'Esqueci minha senha', 'Receba um link para criar uma nova senha.')
+}), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+        // Contas desativadas por um admin não recebem o link
+        if (user && user.ativo !== false) {
+            const link = appUrl();
+            const token = await AuthToken.issue(user._id, 'redefinir-senha', RESET_TOKEN_MINUTES);
+            await sendResetEmail(user, `${link}/redefinir-senha/${token}`);
+        }
+
+        res.render('esqueci-senha', {
+            title: 'Esqueci minha senha',
+            description: 'Receba um link para criar uma nova senha.',
+            success_msg: 'Se houver uma conta com este e-mail, enviamos um link para criar uma nova senha. Confira também a caixa de spam.'
+        });
+
+    } catch (error) {
+        console.error("Erro durante o POST /esqueci-senha:", error);
+        res.status(500).render('esqueci-senha', {
+            title: 'Esqueci minha senha',
+            description: 'Receba um link para criar uma nova senha.',
+            error: 'Não foi possível enviar o e-mail agora. Tente novamente em alguns minutos.',
+            email: req.body.email
+        });
+    }
+});
+
+// ============================================================================
+// REDEFINIR SENHA (GET E POST)
+// ============================================================================
+
+const renderResetPage = (res, status, dados) => res.status(status).render('redefinir-senha', {
+    title: 'Redefinir senha',
+    description: 'Escolha uma nova senha.',
+    ...dados
+});
+
+const INVALID_LINK = 'Este link é inválido, já foi usado ou expirou. Peça um novo.';
+
+// Rota para MOSTRAR o formulário da nova senha (só se o link ainda valer)
+router.get('/redefinir-senha/:token', isGuest, issueCsrfToken, async (req, res) => {
+    try {
+        const valido = await AuthToken.findValid('redefinir-senha', req.params.token);
+        renderResetPage(res, valido ? 200 : 400, valido ? { token: req.params.token } : { linkInvalido: true, error: INVALID_LINK });
+    } catch (error) {
+        console.error("Erro durante o GET /redefinir-senha:", error);
+        renderResetPage(res, 500, { linkInvalido: true, error: 'Ocorreu um erro ao abrir o link.' });
+    }
+});
+
+// Rota para GRAVAR a nova senha. O token é consumido na mesma operação que o confere,
+// e a senha passa pelo hook pre('save') do modelo, que a criptografa.
+router.post('/redefinir-senha/:token', isGuest, validate({ body: REDEFINIR_SENHA_SCHEMA }, {
+    onError: (req, res, errors) => renderResetPage(res, 400, { token: req.params.token, error: errors[0].message, errors })
+}), async (req, res) => {
+    try {
+        if (req.body.password !== req.body.confirmacao) {
+            return renderResetPage(res, 400, { token: req.params.token, error: 'As senhas não conferem.' });
+        }
+
+        const token = await AuthToken.consume('redefinir-senha', req.params.token);
+        const user = token ? await User.findById(token.user) : null;
+        if (!user || user.ativo === false) {
+            return renderResetPage(res, 400, { linkInvalido: true, error: INVALID_LINK });
+        }
+
+        user.password = req.body.password;
+        // Quem abriu o link recebido no e-mail provou que o e-mail é dele
+        if (!user.emailVerificado) {
+            user.emailVerificado = true;
+            user.emailVerificadoEm = new Date();
+        }
+        // A senha nova vale na hora, mesmo que a conta tenha sido bloqueada por tentativas erradas
+        unlockAccount(user);
+        await user.save();
+
+        // Quem estava logado com a senha antiga (talvez outra pessoa) é desconectado,
+        // inclusive pela API: os tokens de acesso dela são revogados
+        await endUserSessions(user._id);
+        await AccessToken.deleteMany({ user: user._id });
+
+        res.redirect('/login?status=senha-redefinida');
+
+    } catch (error) {
+        const errors = toErrorList(error);
+        if (!errors) console.error("Erro durante o POST /redefinir-senha:", error);
+        renderResetPage(res, errors ? 400 : 500, {
+            linkInvalido: !errors,
+            error: errors ? errors[0].message : 'Ocorreu um erro ao redefinir a senha.',
+            token: req.params.token
+        });
+    }
+});
+
+
+// ============================================================================
+// CONFIRMAÇÃO DE E-MAIL
+// ============================================================================
+
+const renderVerifyPage = (res, status, dados) => res.status(status).render('verificar-email', {
+    title: 'Confirmar e-mail',
+    description: 'Confirme o seu e-mail para liberar todos os recursos.',
+    ...dados
+});
+
+// Página com o aviso e o botão para reenviar o link (só para quem ainda não confirmou)
+router.get('/verificar-email', isAuthenticated, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId).select('email emailVerificado');
+        if (!user || user.emailVerificado) {
+            req.session.emailVerificado = true;
+            return res.redirect('/tarefas');
+        }
+        renderVerifyPage(res, 200, { email: user.email });
+    } catch (error) {
+        console.error("Erro durante o GET /verificar-email:", error);
+        renderVerifyPage(res, 500, { error: 'Ocorreu um erro ao carregar a página.' });
+    }
+});
+
+// Reenvia o link de confirmação (no máximo um a cada RESEND_COOLDOWN_SECONDS)
+router.post('/verificar-email/reenviar', isAuthenticated, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user || user.emailVerificado) {
+            req.session.emailVerificado = true;
+            return res.redirect('/tarefas');
+        }
+
+        const ultimo = await AuthToken.findOne({ user: user._id, tipo: 'verificar-email' }).sort({ createdAt: -1 });
+        const espera = ultimo ? Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - ultimo.createdAt) / 1000) : 0;
+        if (espera > 0) {
+            return renderVerifyPage(res, 429, { email: user.email, error: `Aguarde ${espera} segundo(s) para pedir um novo link.` });
+        }
+
+        await sendVerificationEmail(user);
+        renderVerifyPage(res, 200, { email: user.email, success_msg: `Enviamos um novo link para ${user.email}.` });
+
+    } catch (error) {
+        console.error("Erro durante o POST /verificar-email/reenviar:", error);
+        renderVerifyPage(res, 500, { error: 'Não foi possível enviar o e-mail agora. Tente novamente em alguns minutos.' });
+    }
+});
+
+const INVALID_VERIFY_LINK = 'Este link é inválido, já foi usado ou expirou. Faça login para pedir um novo.';
+
+// Link recebido no e-mail. Funciona logado ou não (ex: aberto no celular). Só mostra o
+// botão de confirmar: abrir o link (ex: a pré-visualização do programa de e-mail) não
+// gasta o token
+router.get('/verificar-email/:token', issueCsrfToken, async (req, res) => {
+    try {
+        const valido = await AuthToken.findValid('verificar-email', req.params.token);
+        renderVerifyPage(res, valido ? 200 : 400, valido ? { token: req.params.token } : { linkInvalido: true, error: INVALID_VERIFY_LINK });
+    } catch (error) {
+        console.error("Erro durante o GET /verificar-email/:token:", error);
+        renderVerifyPage(res, 500, { linkInvalido: true, error: 'Ocorreu um erro ao abrir o link.' });
+    }
+});
+
+// Confirma o e-mail. O token é consumido na mesma operação que o confere
+router.post('/verificar-email/:token', async (req, res) => {
+    try {
+        const token = await AuthToken.consume('verificar-email', req.params.token);
+        const user = token ? await User.findById(token.user) : null;
+        if (!user) {
+            return renderVerifyPage(res, 400, { linkInvalido: true, error: INVALID_VERIFY_LINK });
+        }
+
+        if (!user.emailVerificado) {
+            user.emailVerificado = true;
+            user.emailVerificadoEm = new Date();
+            await user.save();
+        }
+
+        if (String(req.session.userId) === String(user._id)) {
+            req.session.emailVerificado = true;
+            return res.redirect('/tarefas');
+        }
+        res.redirect('/login?status=email-verificado');
+
+    } catch (error) {
+        console.error("Erro durante o POST /verificar-email/:token:", error);
+        renderVerifyPage(res, 500, { linkInvalido: true, error: 'Ocorreu um erro ao confirmar o e-mail.' });
+    }
+});
+
 // ============================================================================
 // ROTA DE LOGOUT
 // ============================================================================
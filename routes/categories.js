@@ -0,0 +1,302 @@
+/**
+ * 🗂️ ROTAS DE API - CATEGORIAS
+ * =========================================
+ * * CRUD das categorias (listas) do usuário logado e compartilhamento delas
+ * com outros usuários. Montado em /api/categorias no index.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/category');
+const Task = require('../models/task');
+const User = require('../models/user');
+const { isApiAuthenticated, isVerified } = require('../middleware/authMiddleware');
+const { CODES, validate, fieldError, sendError } = require('../utils/validation');
+const { listMembers } = require('../utils/taskAccess');
+
+// Campos que o cliente pode definir/alterar em uma categoria. Os formatos (slug, cor,
+// ícone) são conferidos pelo modelo, que também normaliza o slug
+const CATEGORY_FIELDS = {
+    nome: { tipo: 'string', max: 40 },
+    slug: { tipo: 'string', max: 60 },
+    cor: { tipo: 'string', max: 7 },
+    icone: { tipo: 'string', max: 40 },
+    ordem: { tipo: 'number', inteiro: true, min: 0 }
+};
+
+// POST /api/categorias
+const CREATE_CATEGORY = {
+    ...CATEGORY_FIELDS,
+    nome: {
+        ...CATEGORY_FIELDS.nome,
+        obrigatorio: true,
+        mensagens: { [CODES.OBRIGATORIO]: 'O nome da categoria é obrigatório.' }
+    }
+};
+
+// Erro 11000 = índice único violado (slug repetido para o mesmo usuário)
+const handleCategoryError = (res, error) => {
+    if (error.code === 11000) {
+        return sendError(res, fieldError('slug', CODES.DUPLICADO, 'Você já tem uma categoria com este slug.'));
+    }
+    sendError(res, error);
+};
+
+/**
+ * Middleware que carrega a categoria de :id em req.category,
+ * respondendo 404 se ela não existir e 403 se não for do usuário (ou admin).
+ */
+const loadEditableCategory = async (req, res, next) => {
+    try {
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Categoria não encontrada.' });
+        }
+
+        const userIsAdmin = req.session.userRole === 'admin';
+        const userIsOwner = category.user.toString() === String(req.session.userId);
+
+        if (!userIsAdmin && !userIsOwner) {
+            return res.status(403).json({ success: false, message: 'Acesso negado.' });
+        }
+
+        req.category = category;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * LISTAR CATEGORIAS
+ * =================
+ * Rota: GET /api/categorias
+ * Descrição: Categorias do usuário, na ordem do menu, com a contagem de tarefas.
+ */
+router.get('/', isApiAuthenticated, async (req, res) => {
+    try {
+        const categorias = await Category.ensureDefaults(req.session.userId);
+
+        const contagens = await Task.aggregate([
+            { $match: { category: { $in: categorias.map(c => c._id) } } },
+            {
+                $group: {
+                    _id: '$category',
+                    total: { $sum: 1 },
+                    pendentes: { $sum: { $cond: ['$concluida', 0, 1] } }
+                }
+            }
+        ]);
+
+        const data = categorias.map(categoria => {
+            const contagem = contagens.find(c => c._id.equals(categoria._id)) || { total: 0, pendentes: 0 };
+            return { ...categoria.toObject(), total_tarefas: contagem.total, pendentes: contagem.pendentes };
+        });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * CRIAR CATEGORIA
+ * ===============
+ * Rota: POST /api/categorias
+ * Corpo: { nome, slug?, cor?, icone? } — sem slug, ele é gerado a partir do nome
+ */
+router.post('/', isApiAuthenticated, validate({ body: CREATE_CATEGORY }), async (req, res) => {
+    try {
+        // Garante as padrão antes, senão criar uma categoria impediria o "seed" depois
+        const existentes = await Category.ensureDefaults(req.session.userId);
+
+        const categoria = await Category.create({
+            ordem: existentes.length,
+            ...req.body,
+            user: req.session.userId
+        });
+
+        res.status(201).json({ success: true, data: categoria });
+    } catch (error) {
+        handleCategoryError(res, error);
+    }
+});
+
+/**
+ * ATUALIZAR CATEGORIA
+ * ===================
+ * Rota: PUT /api/categorias/:id
+ */
+router.put('/:id', isApiAuthenticated, validate({ body: CATEGORY_FIELDS }), loadEditableCategory, async (req, res) => {
+    try {
+        Object.assign(req.category, req.body);
+        await req.category.save();
+        res.json({ success: true, data: req.category });
+    } catch (error) {
+        handleCategoryError(res, error);
+    }
+});
+
+/**
+ * EXCLUIR CATEGORIA
+ * =================
+ * Rota: DELETE /api/categorias/:id?moverPara=<idDeOutraCategoria>
+ * Descrição: Se a categoria tiver tarefas, é obrigatório informar para qual
+ * categoria elas serão movidas. O usuário precisa manter pelo menos uma categoria.
+ */
+router.delete('/:id', isApiAuthenticated, loadEditableCategory, async (req, res) => {
+    try {
+        const categoria = req.category;
+
+        const totalCategorias = await Category.countDocuments({ user: categoria.user });
+        if (totalCategorias <= 1) {
+            return res.status(400).json({ success: false, message: 'É preciso manter pelo menos uma categoria.' });
+        }
+
+        const totalTarefas = await Task.countDocuments({ category: categoria._id });
+        let movidas = 0;
+
+        if (totalTarefas > 0) {
+            const destino = req.query.moverPara
+                ? await Category.findOne({ _id: req.query.moverPara, user: categoria.user })
+                : null;
+
+            if (!destino || destino._id.equals(categoria._id)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `A categoria tem ${totalTarefas} tarefa(s). Informe ?moverPara= com outra categoria sua para movê-las.`,
+                    total_tarefas: totalTarefas
+                });
+            }
+
+            const resultado = await Task.updateMany({ category: categoria._id }, { $set: { category: destino._id } });
+            movidas = resultado.modifiedCount;
+        }
+
+        await categoria.deleteOne();
+        res.json({ success: true, message: 'Categoria excluída com sucesso.', tarefas_movidas: movidas });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// --- COMPARTILHAMENTO DE LISTAS ---
+
+const SHARE_BODY = {
+    email: { tipo: 'string', obrigatorio: true, trim: true, max: 200 },
+    nivel: { tipo: 'string', padrao: 'leitor', enum: Category.NIVEIS_COMPARTILHAMENTO }
+};
+
+// Compartilhamentos com nome e e-mail de cada pessoa (só para o dono da lista)
+const sharesOf = async (categoria) => {
+    await categoria.populate('compartilhamentos.user', 'nome email');
+    return categoria.compartilhamentos.filter(c => c.user);
+};
+
+/**
+ * MEMBROS DA LISTA
+ * ================
+ * Rota: GET /api/categorias/:id/membros
+ * Descrição: O dono e as pessoas com quem a lista foi compartilhada ({ _id, nome, nivel }),
+ * ou seja, quem pode ser responsável pelas tarefas dela. Disponível para todos os membros.
+ */
+router.get('/:id/membros', isApiAuthenticated, validate({ params: { id: { tipo: 'objectId' } } }), async (req, res) => {
+    try {
+        const categoria = await Category.findById(req.params.id);
+
+        if (!categoria) {
+            return res.status(404).json({ success: false, message: 'Categoria não encontrada.' });
+        }
+        if (req.session.userRole !== 'admin' && !categoria.nivelDe(req.session.userId)) {
+            return res.status(403).json({ success: false, message: 'Acesso negado.' });
+        }
+
+        res.json({ success: true, data: await listMembers(categoria) });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * COMPARTILHAR LISTA
+ * ==================
+ * Rota: PUT /api/categorias/:id/compartilhamentos
+ * Corpo: { email, nivel: 'leitor' | 'editor' }
+ * Descrição: Dá acesso à lista para outro usuário cadastrado. Se ele já tiver
+ * acesso, só troca o nível.
+ */
+router.put('/:id/compartilhamentos', isApiAuthenticated, isVerified, validate({ body: SHARE_BODY }), loadEditableCategory, async (req, res) => {
+    try {
+        const categoria = req.category;
+        const usuario = await User.findOne({ email: req.body.email.toLowerCase() }).select('_id');
+
+        if (!usuario) {
+            return sendError(res, fieldError('email', CODES.INVALIDO, 'Nenhum usuário cadastrado com este e-mail.'), 404);
+        }
+        if (usuario._id.equals(categoria.user)) {
+            return sendError(res, fieldError('email', CODES.INVALIDO, 'O dono da lista já tem acesso a ela.'));
+        }
+
+        const existente = categoria.compartilhamentos.find(c => c.user.equals(usuario._id));
+        if (existente) {
+            existente.nivel = req.body.nivel;
+        } else {
+            categoria.compartilhamentos.push({ user: usuario._id, nivel: req.body.nivel });
+        }
+        await categoria.save();
+
+        res.json({ success: true, data: await sharesOf(categoria) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * REMOVER COMPARTILHAMENTO
+ * ========================
+ * Rota: DELETE /api/categorias/:id/compartilhamentos/:userId
+ * Descrição: Tira o acesso de um usuário à lista (o dono, um admin ou o próprio
+ * usuário, para sair da lista). Ele deixa de ser o responsável pelas tarefas dela.
+ */
+router.delete('/:id/compartilhamentos/:userId', isApiAuthenticated, validate({ params: { id: { tipo: 'objectId' }, userId: { tipo: 'objectId' } } }), async (req, res) => {
+    try {
+        const categoria = await Category.findById(req.params.id);
+
+        if (!categoria) {
+            return res.status(404).json({ success: false, message: 'Categoria não encontrada.' });
+        }
+
+        const userIsAdmin = req.session.userRole === 'admin';
+        const userIsOwner = categoria.user.toString() === String(req.session.userId);
+        const userIsLeaving = req.params.userId === String(req.session.userId);
+        if (!userIsAdmin && !userIsOwner && !userIsLeaving) {
+            return res.status(403).json({ success: false, message: 'Acesso negado.' });
+        }
+
+        const antes = categoria.compartilhamentos.length;
+        categoria.compartilhamentos = categoria.compartilhamentos.filter(c => c.user.toString() !== req.params.userId);
+        if (categoria.compartilhamentos.length === antes) {
+            return res.status(404).json({ success: false, message: 'Esta lista não está compartilhada com este usuário.' });
+        }
+        await categoria.save();
+
+        // Uma a uma (e não updateMany) para que cada tarefa registre a revisão
+        const atribuidas = await Task.find({ category: categoria._id, responsavel: req.params.userId }).incluindoLixeira();
+        for (const task of atribuidas) {
+            task.$locals.autor = req.session.userId;
+            task.responsavel = null;
+            await task.save();
+        }
+
+        res.json({
+            success: true,
+            message: userIsLeaving ? 'Você saiu da lista.' : 'Compartilhamento removido.',
+            data: userIsOwner || userIsAdmin ? await sharesOf(categoria) : undefined
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+module.exports = router;
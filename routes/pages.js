@@ -8,15 +8,26 @@
 const express = require('express');
 const router = express.Router();
 const Task = require('../models/task');
+const Category = require('../models/category');
+const Comment = require('../models/comment');
 const { getConnectionStatus } = require('../config/database');
 const mongoose = require('mongoose');
-const { isAuthenticated } = require('../middleware/authMiddleware');
+const { isAuthenticated, isAdmin, scopeTasksToUser } = require('../middleware/authMiddleware');
+const { isOverdue, dueGroup } = require('../utils/dueDate');
+const { parseTaskQuery, runTaskQuery } = require('../utils/taskQuery');
+const { searchTasks } = require('../utils/search');
+const { listUsers } = require('../utils/userAdmin');
+const { RETENTION_DAYS } = require('../scripts/purgeTrash');
+const { addDays } = require('date-fns');
 
 // ... (Rotas GET /, /sobre, /contato permanecem iguais) ...
 router.get('/', async (req, res, next) => {
     try {
         console.log('🏠 Acessando página inicial (com dados do DB)...');
-        const tasks = await Task.find().sort({ concluida: 1, createdAt: -1 }).lean();
+        // Visitantes não veem tarefas; usuários logados veem apenas as próprias
+        const tasks = res.locals.userIsLoggedIn
+            ? await Task.find({ user: req.session.userId }).sort({ concluida: 1, createdAt: -1 }).lean()
+            : [];
         const dbStatus = getConnectionStatus();
         res.render('index', {
             title: 'Página Inicial',
@@ -77,52 +88,92 @@ router.get('/contato', (req, res) => {
 
 
 /**
- * PÁGINA DE TAREFAS (LÓGICA COLABORATIVA)
+ * PÁGINA DE LISTA (CATEGORIA DINÂMICA)
  * =========================================
- * Rota: GET /tarefas
- * Descrição: Busca as tarefas do banco de dados (Apenas Categoria: Tarefa)
+ * Rota: GET /lista/:slug
+ * Descrição: Busca as tarefas do usuário logado na categoria com este slug.
+ * Admins podem usar ?todos=true para ver, de todos os usuários, as categorias com o mesmo slug.
+ * Listas de outros usuários compartilhadas com ele são abertas pelo ID: /lista/<id>.
+ * Aceita os mesmos filtros, ordenação e paginação de GET /api/tarefas (utils/taskQuery.js).
  */
-router.get('/tarefas', isAuthenticated, async (req, res) => {
+router.get('/lista/:slug', isAuthenticated, scopeTasksToUser, async (req, res) => {
     try {
-        const tasks = await Task.aggregate([
-            { $match: { category: 'Tarefa' } },
-            // MODIFICADO: Corrigida a sintaxe do $lookup
-            {
-                $lookup: {
-                    from: 'users',
-                    localField: 'user',
-                    foreignField: '_id',
-                    as: 'userDetails'
-                }
-            },
-            { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
-            { $addFields: { user: '$userDetails' } },
-            {
-                $addFields: {
-                    priorityOrder: {
-                        $switch: {
-                            branches: [
-                                { case: { $eq: ["$prioridade", "Alta"] }, then: 3 },
-                                { case: { $eq: ["$prioridade", "Média"] }, then: 2 },
-                                { case: { $eq: ["$prioridade", "Baixa"] }, then: 1 }
-                            ],
-                            default: 2
-                        }
-                    }
-                }
-            },
-            { $sort: { concluida: 1, priorityOrder: -1, createdAt: -1 } }
+        let categorias = res.locals.allUsersMode
+            ? await Category.find({ slug: req.params.slug }).lean()
+            : await Category.find({ user: req.session.userId, slug: req.params.slug }).lean();
+        let compartilhada = null;
+
+        if (categorias.length === 0 && mongoose.isValidObjectId(req.params.slug)) {
+            compartilhada = await Category.findOne({ _id: req.params.slug, 'compartilhamentos.user': req.session.userId })
+                .populate('user', 'nome');
+            if (compartilhada) {
+                categorias = [compartilhada.toObject()];
+                // As tarefas são do dono da lista: o filtro fica só pela categoria (logo abaixo)
+                req.taskScope = {};
+            }
+        }
+
+        if (categorias.length === 0) {
+            return res.status(404).render('404', {
+                title: 'Lista Não Encontrada',
+                description: 'Esta lista não existe ou foi excluída.',
+                requestedUrl: req.originalUrl
+            });
+        }
+
+        // Nos formulários e no título usamos a categoria do próprio usuário, se houver
+        const category = compartilhada
+            ? categorias[0]
+            : categorias.find(c => c.user.toString() === String(req.session.userId)) || categorias[0];
+
+        let consulta;
+        try {
+            consulta = await parseTaskQuery(req.query, { scope: req.taskScope, defaultLimit: 50 });
+        } catch (error) {
+            return res.status(400).render('404', {
+                title: 'Filtro Inválido',
+                description: error.message,
+                requestedUrl: req.originalUrl
+            });
+        }
+        // A categoria da página tem prioridade sobre um eventual ?categoria=
+        consulta.match.category = { $in: categorias.map(c => c._id) };
+
+        const { data: tasks, paginacao } = await runTaskQuery(Task, consulta, {
+            baseUrl: req.path,
+            query: req.query,
+            withUser: true
+        });
+
+        const commentCounts = await Comment.countByTask(tasks.map(task => task._id));
+
+        // Nuvem de tags: todas as tags da lista, independente dos filtros aplicados
+        const tagCloud = await Task.aggregate([
+            { $match: { ...req.taskScope, category: consulta.match.category } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', total: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', total: 1 } }
         ]);
 
         res.render('tarefas', {
-            title: 'Minhas Tarefas',
-            description: 'Acompanhe todas as suas tarefas.',
+            title: category.nome,
+            description: compartilhada
+                ? `Lista compartilhada por ${compartilhada.user ? compartilhada.user.nome : 'outro usuário'}.`
+                : `Acompanhe os itens da lista ${category.nome}.`,
             tasks: tasks,
+            paginacao: paginacao,
+            query: req.query,
+            tagCloud: tagCloud,
+            commentCounts: commentCounts,
+            category: category,
+            // 'dono', 'editor' ou 'leitor' (o leitor vê a lista sem os controles de edição)
+            listAccess: compartilhada ? compartilhada.nivelDe(req.session.userId) : 'dono',
             layout: 'layout'
         });
 
     } catch (error) {
-        console.error("Erro ao buscar tarefas:", error);
+        console.error("Erro ao buscar itens da lista:", error);
         res.status(500).render('500', { 
             title: 'Erro de Servidor', 
             description: 'Ocorreu um erro interno.' 
@@ -130,58 +181,57 @@ router.get('/tarefas', isAuthenticated, async (req, res) => {
     }
 });
 
-
-// =========================================
-// NOVAS ROTAS DE CATEGORIAS
-// =========================================
-
 /**
- * PÁGINA MEU TCC
+ * ATRIBUÍDAS A MIM
  * =========================================
- * Rota: GET /tcc
- * Descrição: Busca os itens da categoria "Meu TCC"
+ * Rota: GET /atribuidas
+ * Descrição: Tarefas de qualquer lista (próprias ou compartilhadas) em que o
+ * usuário logado é o responsável. Mesmos filtros da página de lista.
  */
-router.get('/tcc', isAuthenticated, async (req, res) => {
+router.get('/atribuidas', isAuthenticated, async (req, res) => {
     try {
-        const tasks = await Task.aggregate([
-            { $match: { category: 'Meu TCC' } },
-            // MODIFICADO: Corrigida a sintaxe do $lookup
-            {
-                $lookup: {
-                    from: 'users',
-                    localField: 'user',
-                    foreignField: '_id',
-                    as: 'userDetails'
-                }
-            },
-            { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
-            { $addFields: { user: '$userDetails' } },
-            {
-                $addFields: {
-                    priorityOrder: {
-                        $switch: {
-                            branches: [
-                                { case: { $eq: ["$prioridade", "Alta"] }, then: 3 },
-                                { case: { $eq: ["$prioridade", "Média"] }, then: 2 },
-                                { case: { $eq: ["$prioridade", "Baixa"] }, then: 1 }
-                            ],
-                            default: 2
-                        }
-                    }
-                }
-            },
-            { $sort: { concluida: 1, priorityOrder: -1, createdAt: -1 } }
+        const scope = { responsavel: new mongoose.Types.ObjectId(req.session.userId) };
+
+        let consulta;
+        try {
+            consulta = await parseTaskQuery(req.query, { scope, defaultLimit: 50 });
+        } catch (error) {
+            return res.status(400).render('404', {
+                title: 'Filtro Inválido',
+                description: error.message,
+                requestedUrl: req.originalUrl
+            });
+        }
+
+        const { data: tasks, paginacao } = await runTaskQuery(Task, consulta, {
+            baseUrl: req.path,
+            query: req.query,
+            withUser: true
+        });
+
+        const commentCounts = await Comment.countByTask(tasks.map(task => task._id));
+
+        const tagCloud = await Task.aggregate([
+            { $match: scope },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', total: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', total: 1 } }
         ]);
 
         res.render('tarefas', {
-            title: 'Meu TCC',
-            description: 'Acompanhe o progresso do seu TCC.',
+            title: 'Atribuídas a mim',
+            description: 'Tarefas em que você é o responsável, em todas as listas.',
             tasks: tasks,
+            paginacao: paginacao,
+            query: req.query,
+            tagCloud: tagCloud,
+            commentCounts: commentCounts,
             layout: 'layout'
         });
 
     } catch (error) {
-        console.error("Erro ao buscar itens de TCC:", error);
+        console.error("Erro ao buscar as tarefas atribuídas:", error);
         res.status(500).render('500', { 
             title: 'Erro de Servidor', 
             description: 'Ocorreu um erro interno.' 
@@ -190,106 +240,56 @@ router.get('/tcc', isAuthenticated, async (req, res) => {
 });
 
 /**
- * PÁGINA TRABALHO
+ * ROTAS ANTIGAS DAS CATEGORIAS
  * =========================================
- * Rota: GET /trabalho
- * Descrição: Busca os itens da categoria "Trabalho"
+ * /tarefas, /tcc, /trabalho e /carro eram páginas fixas. Agora redirecionam
+ * para /lista/:slug das categorias padrão. /tarefas continua sendo a página
+ * inicial após o login: se a lista "tarefas" não existir mais, vai para a primeira.
  */
-router.get('/trabalho', isAuthenticated, async (req, res) => {
-    try {
-        const tasks = await Task.aggregate([
-            { $match: { category: 'Trabalho' } },
-            // MODIFICADO: Corrigida a sintaxe do $lookup
-            {
-                $lookup: {
-                    from: 'users',
-                    localField: 'user',
-                    foreignField: '_id',
-                    as: 'userDetails'
-                }
-            },
-            { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
-            { $addFields: { user: '$userDetails' } },
-            {
-                $addFields: {
-                    priorityOrder: {
-                        $switch: {
-                            branches: [
-                                { case: { $eq: ["$prioridade", "Alta"] }, then: 3 },
-                                { case: { $eq: ["$prioridade", "Média"] }, then: 2 },
-                                { case: { $eq: ["$prioridade", "Baixa"] }, then: 1 }
-                            ],
-                            default: 2
-                        }
-                    }
-                }
-            },
-            { $sort: { concluida: 1, priorityOrder: -1, createdAt: -1 } }
-        ]);
+router.get(['/tarefas', '/tcc', '/trabalho', '/carro'], isAuthenticated, (req, res) => {
+    const slug = req.path.slice(1);
+    const categorias = res.locals.userCategories;
+    const destino = categorias.find(c => c.slug === slug) || (slug === 'tarefas' ? categorias[0] : null);
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
 
-        res.render('tarefas', {
-            title: 'Trabalho',
-            description: 'Acompanhe suas pendências do trabalho.',
-            tasks: tasks,
-            layout: 'layout'
-        });
-
-    } catch (error) {
-        console.error("Erro ao buscar itens de Trabalho:", error);
-        res.status(500).render('500', { 
-            title: 'Erro de Servidor', 
-            description: 'Ocorreu um erro interno.' 
-        });
-    }
+    res.redirect(`/lista/${destino ? destino.slug : slug}${query}`);
 });
 
 /**
- * PÁGINA CARRO (MODIFICADO)
+ * PÁGINA DE CATEGORIAS
  * =========================================
- * Rota: GET /carro
- * Descrição: Busca os itens da categoria "Carro"
+ * Rota: GET /categorias
+ * Descrição: Gerenciamento das listas do usuário (criar, renomear, excluir) e das
+ * tags (renomear, mesclar). As categorias já vêm de res.locals.userCategories;
+ * as alterações usam /api/categorias e /api/tags.
  */
-router.get('/carro', isAuthenticated, async (req, res) => {
+router.get('/categorias', isAuthenticated, async (req, res) => {
     try {
-        const tasks = await Task.aggregate([
-            { $match: { category: 'Carro' } },
-            // MODIFICADO: Corrigida a sintaxe do $lookup
-            {
-                $lookup: {
-                    from: 'users',
-                    localField: 'user',
-                    foreignField: '_id',
-                    as: 'userDetails'
-                }
-            },
-            { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
-            { $addFields: { user: '$userDetails' } },
-            {
-                $addFields: {
-                    priorityOrder: {
-                        $switch: {
-                            branches: [
-                                { case: { $eq: ["$prioridade", "Alta"] }, then: 3 },
-                                { case: { $eq: ["$prioridade", "Média"] }, then: 2 },
-                                { case: { $eq: ["$prioridade", "Baixa"] }, then: 1 }
-                            ],
-                            default: 2
-                        }
-                    }
-                }
-            },
-            { $sort: { concluida: 1, priorityOrder: -1, createdAt: -1 } }
+        // Tags do usuário, para renomear/mesclar na mesma página (alterações via /api/tags)
+        const tags = await Task.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(req.session.userId) } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', total: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', total: 1 } }
         ]);
 
-        res.render('tarefas', { 
-            title: 'Manutenção do Carro',
-            description: 'Acompanhe seus itens de manutenção.',
-            tasks: tasks,
+        // Com quem cada lista está compartilhada (gerenciado via /api/categorias/:id/compartilhamentos)
+        const compartilhamentos = await Category.find({ user: req.session.userId, 'compartilhamentos.0': { $exists: true } })
+            .select('compartilhamentos')
+            .populate('compartilhamentos.user', 'nome email')
+            .lean();
+
+        res.render('categorias', {
+            title: 'Categorias e Tags',
+            description: 'Crie e organize as suas listas de tarefas e as suas tags.',
+            tags,
+            shares: Object.fromEntries(compartilhamentos.map(c => [String(c._id), c.compartilhamentos.filter(s => s.user)])),
             layout: 'layout'
         });
 
     } catch (error) {
-        console.error("Erro ao buscar itens de Carro:", error);
+        console.error("Erro ao carregar categorias e tags:", error);
         res.status(500).render('500', { 
             title: 'Erro de Servidor', 
             description: 'Ocorreu um erro interno.' 
@@ -297,19 +297,18 @@ router.get('/carro', isAuthenticated, async (req, res) => {
     }
 });
 
-
 /**
  * NOVA PÁGINA DE DASHBOARD
  * =========================
  * Rota: GET /dashboard
  * Descrição: Exibe estatísticas e um resumo das tarefas.
  */
-router.get('/dashboard', isAuthenticated, async (req, res, next) => {
+router.get('/dashboard', isAuthenticated, scopeTasksToUser, async (req, res, next) => {
     try {
         console.log('📊 Acessando página de dashboard...');
         
-        const allTasks = await Task.find().lean();
-        const latestTasks = await Task.find().sort({ createdAt: -1 }).limit(5).lean();
+        const allTasks = await Task.find(req.taskScope).lean();
+        const latestTasks = await Task.find(req.taskScope).sort({ createdAt: -1 }).limit(5).lean();
 
         const total = allTasks.length;
         const concluidas = allTasks.filter(t => t.concluida).length; // Nome da variável
@@ -317,6 +316,7 @@ router.get('/dashboard', isAuthenticated, async (req, res, next) => {
         
         // MODIFICADO: Corrigido o nome da variável de 'concluida' para 'concluidas'
         const percentual = total > 0 ? Math.round((concluidas / total) * 100) : 0;
+        const atrasadas = allTasks.filter(t => isOverdue(t)).length;
 
         const pageData = {
             title: 'Dashboard de Tarefas',
@@ -325,7 +325,8 @@ router.get('/dashboard', isAuthenticated, async (req, res, next) => {
                 total,
                 concluidas, // Nome da variável
                 pendentes,
-                percentual
+                percentual,
+                atrasadas
             },
             latestTasks
         };
@@ -341,4 +342,134 @@ router.get('/dashboard', isAuthenticated, async (req, res, next) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * PÁGINA DE AGENDA (PRÓXIMOS VENCIMENTOS)
+ * =========================================
+ * Rota: GET /agenda
+ * Descrição: Agrupa as tarefas pendentes com vencimento em
+ * Atrasadas, Hoje, Esta semana e Depois.
+ */
+router.get('/agenda', isAuthenticated, scopeTasksToUser, async (req, res) => {
+    try {
+        const tasks = await Task.find({
+            ...req.taskScope,
+            concluida: false,
+            dataVencimento: { $ne: null }
+        })
+            .sort({ dataVencimento: 1 })
+            .populate('user', 'nome')
+            .populate('category', 'nome slug')
+            .lean();
+
+        const agora = new Date();
+        const grupos = { atrasadas: [], hoje: [], semana: [], depois: [] };
+        tasks.forEach(task => grupos[dueGroup(task, agora)].push(task));
+
+        res.render('agenda', {
+            title: 'Agenda',
+            description: 'Seus próximos vencimentos, do mais urgente ao mais distante.',
+            grupos,
+            layout: 'layout'
+        });
+
+    } catch (error) {
+        console.error("Erro ao montar a agenda:", error);
+        res.status(500).render('500', { 
+            title: 'Erro de Servidor', 
+            description: 'Ocorreu um erro interno.' 
+        });
+    }
+});
+
+/**
+ * PÁGINA DE BUSCA
+ * =========================================
+ * Rota: GET /busca?q=termo
+ * Descrição: Resultado da caixa de busca do cabeçalho. Usa a mesma busca
+ * textual da API (utils/search.js), com os termos destacados.
+ */
+router.get('/busca', isAuthenticated, scopeTasksToUser, async (req, res) => {
+    const q = String(req.query.q || '').trim();
+
+    try {
+        const resultados = q ? await searchTasks(Task, { q, scope: req.taskScope, limit: 50 }) : [];
+
+        res.render('busca', {
+            title: 'Busca',
+            description: q ? `Resultados para "${q}"` : 'Busque nas suas tarefas.',
+            q,
+            resultados,
+            layout: 'layout'
+        });
+
+    } catch (error) {
+        console.error("Erro na página de busca:", error);
+        res.status(500).render('500', { 
+            title: 'Erro de Servidor', 
+            description: 'Ocorreu um erro interno.' 
+        });
+    }
+});
+
+/**
+ * PÁGINA DA LIXEIRA
+ * =========================================
+ * Rota: GET /lixeira
+ * Descrição: Tarefas excluídas, que podem ser restauradas ou excluídas de vez.
+ * As ações usam as rotas /api/tarefas/lixeira.
+ */
+router.get('/lixeira', isAuthenticated, scopeTasksToUser, async (req, res) => {
+    try {
+        const tasks = await Task.find({ ...req.taskScope, excluidaEm: { $ne: null } })
+            .sort({ excluidaEm: -1 })
+            .populate('user', 'nome')
+            .populate('category', 'nome slug')
+            .lean();
+
+        res.render('lixeira', {
+            title: 'Lixeira',
+            description: `Tarefas excluídas ficam aqui por ${RETENTION_DAYS} dias antes de sumirem de vez.`,
+            tasks,
+            expiraEm: (task) => addDays(task.excluidaEm, RETENTION_DAYS),
+            layout: 'layout'
+        });
+
+    } catch (error) {
+        console.error("Erro ao carregar a lixeira:", error);
+        res.status(500).render('500', { 
+            title: 'Erro de Servidor', 
+            description: 'Ocorreu um erro interno.' 
+        });
+    }
+});
+
+/**
+ * PÁGINA DE ADMINISTRAÇÃO
+ * =========================================
+ * Rota: GET /admin?q=&pagina=
+ * Descrição: Usuários cadastrados, com a contagem de tarefas de cada um. Só para admins.
+ * As ações (papel, ativar/desativar, excluir) usam as rotas /api/admin.
+ */
+router.get('/admin', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const busca = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const pagina = parseInt(req.query.pagina, 10) || 1;
+
+        res.render('admin', {
+            title: 'Administração',
+            description: 'Gerencie os usuários do sistema.',
+            busca,
+            ...(await listUsers({ busca, pagina })),
+            layout: 'layout'
+        });
+
+    } catch (error) {
+        console.error("Erro ao carregar a administração:", error);
+        res.status(500).render('500', { 
+            title: 'Erro de Servidor', 
+            description: 'Ocorreu um erro interno.' 
+        });
+    }
+});
+
+module.exports = router;
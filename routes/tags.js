@@ -0,0 +1,134 @@
+/**
+ * 🏷️ ROTAS DE API - TAGS
+ * =========================================
+ * * Tags não têm coleção própria: elas vivem no array `tags` de cada tarefa.
+ * Estas rotas listam as tags do usuário com as contagens e permitem
+ * renomear e mesclar tags em todas as tarefas dele de uma só vez.
+ * Montado em /api/tags no index.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/task');
+const { isApiAuthenticated, scopeTasksToUser } = require('../middleware/authMiddleware');
+const { normalizeTag, normalizeTags, MAX_TAG_LENGTH } = require('../utils/tags');
+const { CODES, validate, fieldError, sendError } = require('../utils/validation');
+
+// Nome de tag como o cliente envia (com ou sem "#"); a normalização vem depois
+const TAG = { tipo: 'string', max: MAX_TAG_LENGTH + 1 };
+
+// POST /api/tags/mesclar
+const MERGE_BODY = {
+    origem: { tipo: 'array', separador: /[,\s]+/, obrigatorio: true, min: 1, max: 50, itens: TAG },
+    destino: { ...TAG, obrigatorio: true }
+};
+
+// PUT /api/tags/:tag
+const RENAME_BODY = {
+    nome: { ...TAG, obrigatorio: true, mensagens: { [CODES.OBRIGATORIO]: 'Informe o novo nome da tag.' } }
+};
+
+/**
+ * Troca as tags `origens` por `destino` nas tarefas do usuário, inclusive nas que estão
+ * na lixeira (para a tag antiga não voltar ao restaurá-las). Tarefas que já tinham a tag
+ * de destino ficam com ela uma vez só. Devolve quantas tarefas foram alteradas.
+ */
+const mergeTags = async (userId, origens, destino) => {
+    const tagsParaRemover = origens.filter(tag => tag !== destino);
+    if (tagsParaRemover.length === 0) return 0;
+
+    // Uma a uma (e não updateMany) para passar pelas validações do modelo e registrar a revisão
+    const tasks = await Task.find({ user: userId, tags: { $in: tagsParaRemover } }).incluindoLixeira();
+    for (const task of tasks) {
+        task.$locals.autor = userId;
+        task.tags = [...task.tags.filter(tag => !tagsParaRemover.includes(tag)), destino];
+        await task.save();
+    }
+
+    return tasks.length;
+};
+
+/**
+ * LISTAR TAGS
+ * ===========
+ * Rota: GET /api/tags
+ * Descrição: Tags usadas nas tarefas, da mais usada para a menos usada,
+ * com o total de tarefas e quantas estão pendentes. Admins podem usar ?todos=true.
+ */
+router.get('/', isApiAuthenticated, scopeTasksToUser, async (req, res) => {
+    try {
+        const data = await Task.aggregate([
+            { $match: req.taskScope },
+            { $unwind: '$tags' },
+            {
+                $group: {
+                    _id: '$tags',
+                    total: { $sum: 1 },
+                    pendentes: { $sum: { $cond: ['$concluida', 0, 1] } }
+                }
+            },
+            { $sort: { total: -1, _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', total: 1, pendentes: 1 } }
+        ]);
+
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+/**
+ * MESCLAR TAGS
+ * ============
+ * Rota: POST /api/tags/mesclar
+ * Corpo: { origem: ["urgente", "importante"], destino: "prioridade" }
+ * Descrição: Nas tarefas do usuário, as tags de origem são substituídas pela de destino.
+ */
+router.post('/mesclar', isApiAuthenticated, validate({ body: MERGE_BODY }), async (req, res) => {
+    try {
+        const origens = normalizeTags(req.body.origem);
+        const destino = normalizeTag(req.body.destino);
+
+        if (origens.length === 0) {
+            return sendError(res, fieldError('origem', CODES.INVALIDO, 'Informe as tags de origem.'));
+        }
+        if (!destino) {
+            return sendError(res, fieldError('destino', CODES.INVALIDO, 'Informe a tag de destino.'));
+        }
+
+        const alteradas = await mergeTags(req.session.userId, origens, destino);
+        res.json({ success: true, message: `Tags mescladas em #${destino}.`, tarefas_alteradas: alteradas });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * RENOMEAR TAG
+ * ============
+ * Rota: PUT /api/tags/:tag
+ * Corpo: { nome: "novo-nome" }
+ * Descrição: Renomeia a tag em todas as tarefas do usuário. Se o novo nome
+ * já for uma tag existente, as duas são mescladas.
+ */
+router.put('/:tag', isApiAuthenticated, validate({ body: RENAME_BODY }), async (req, res) => {
+    try {
+        const atual = normalizeTag(req.params.tag);
+        const novoNome = normalizeTag(req.body.nome);
+
+        if (!novoNome) {
+            return sendError(res, fieldError('nome', CODES.INVALIDO, 'Informe o novo nome da tag.'));
+        }
+
+        const alteradas = await mergeTags(req.session.userId, [atual], novoNome);
+        if (alteradas === 0 && atual !== novoNome) {
+            return res.status(404).json({ success: false, message: `Nenhuma tarefa sua tem a tag #${atual}.` });
+        }
+
+        res.json({ success: true, message: `Tag #${atual} renomeada para #${novoNome}.`, tarefas_alteradas: alteradas });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * 🔄 MIGRAÇÃO - CATEGORIAS FIXAS → COLEÇÃO DE CATEGORIAS
+ * =========================================
+ * * Antes, `Task.category` era um texto de um enum fixo ('Tarefa', 'Meu TCC',
+ * 'Trabalho', 'Carro'). Agora é o _id de um documento da coleção Category.
+ * * Esta migração, para cada usuário com tarefas no formato antigo:
+ * 1. Cria (se ainda não existir) a categoria correspondente a cada valor antigo;
+ * 2. Troca o texto pelo _id da categoria nas tarefas;
+ * 3. Cria as categorias padrão que ainda faltarem (quem só tinha tarefas de
+ *    "Trabalho" também ganha "Tarefa", "Meu TCC" e "Carro").
+ * * É idempotente: só mexe em tarefas cuja categoria ainda é texto. Roda
+ * automaticamente ao iniciar o servidor e também pode ser executada à mão:
+ * npm run migrate:categorias
+ */
+
+const Task = require('../models/task');
+const Category = require('../models/category');
+
+const migrateCategories = async () => {
+    // Usamos a coleção "crua" porque o schema atual não aceita mais texto em category
+    const usuarios = await Task.collection.distinct('user', { category: { $type: 'string' } });
+    let tarefasMigradas = 0;
+
+    for (const userId of usuarios) {
+        const valoresAntigos = await Task.collection.distinct('category', {
+            user: userId,
+            category: { $type: 'string' }
+        });
+
+        for (const valor of valoresAntigos) {
+            const padrao = Category.DEFAULT_CATEGORIES.find(c => c.legado === valor)
+                || { nome: valor, slug: Category.slugify(valor) || 'sem-categoria' };
+            const ordem = Category.DEFAULT_CATEGORIES.indexOf(padrao);
+
+            const categoria = await Category.findOneAndUpdate(
+                { user: userId, slug: padrao.slug },
+                {
+                    $setOnInsert: {
+                        nome: padrao.nome,
+                        cor: padrao.cor,
+                        icone: padrao.icone,
+                        ordem: ordem === -1 ? Category.DEFAULT_CATEGORIES.length : ordem
+                    }
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+
+            const resultado = await Task.collection.updateMany(
+                { user: userId, category: valor },
+                { $set: { category: categoria._id } }
+            );
+            tarefasMigradas += resultado.modifiedCount;
+        }
+
+        await Category.seedDefaults(userId);
+    }
+
+    if (tarefasMigradas > 0) {
+        console.log(`🔄 Migração de categorias: ${tarefasMigradas} tarefa(s) de ${usuarios.length} usuário(s) convertida(s).`);
+    }
+    return { usuarios: usuarios.length, tarefas: tarefasMigradas };
+};
+
+// Execução direta: node scripts/migrateCategories.js
+if (require.main === module) {
+    require('dotenv').config();
+    const { connectToDatabase, mongoose } = require('../config/database');
+
+    (async () => {
+        const conectado = await connectToDatabase();
+        if (!conectado) {
+            process.exit(1);
+        }
+
+        try {
+            const resumo = await migrateCategories();
+            console.log('✅ Migração concluída:', resumo);
+        } catch (error) {
+            console.error('❌ Erro na migração de categorias:', error);
+            process.exitCode = 1;
+        } finally {
+            await mongoose.connection.close();
+        }
+    })();
+}
+
+module.exports = { migrateCategories };
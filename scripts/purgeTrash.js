@@ -0,0 +1,67 @@
+/**
+ * 🧹 LIMPEZA AUTOMÁTICA DA LIXEIRA
+ * =========================================
+ * * Tarefas excluídas ficam na lixeira por TRASH_RETENTION_DAYS dias (padrão: 30).
+ * Depois disso são excluídas definitivamente.
+ * * Enquanto o servidor está no ar, a limpeza roda a cada
+ * TRASH_PURGE_INTERVAL_MINUTES minutos (padrão: 60). Também pode ser
+ * executada à mão: npm run purge:lixeira
+ */
+
+// Carrega o .env antes de ler as variáveis abaixo (no `npm run purge:lixeira` o
+// index.js não roda; no servidor, chamar de novo não altera nada)
+require('dotenv').config();
+
+const { subDays } = require('date-fns');
+const Task = require('../models/task');
+
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+const purgeExpiredTrash = async (agora = new Date()) => {
+    const limite = subDays(agora, RETENTION_DAYS);
+    const excluidas = await Task.purgeTrashed({ excluidaEm: { $lte: limite } });
+
+    if (excluidas > 0) {
+        console.log(`🧹 Lixeira: ${excluidas} tarefa(s) com mais de ${RETENTION_DAYS} dia(s) excluída(s) definitivamente.`);
+    }
+    return excluidas;
+};
+
+/**
+ * Agenda a limpeza periódica. O timer não impede o processo de encerrar (unref).
+ */
+const scheduleTrashPurge = () => {
+    const executar = () => purgeExpiredTrash().catch(error => {
+        console.error('❌ Erro na limpeza automática da lixeira:', error.message);
+    });
+
+    executar();
+    const timer = setInterval(executar, PURGE_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+// Execução direta: node scripts/purgeTrash.js
+if (require.main === module) {
+    const { connectToDatabase, mongoose } = require('../config/database');
+
+    (async () => {
+        const conectado = await connectToDatabase();
+        if (!conectado) {
+            process.exit(1);
+        }
+
+        try {
+            const excluidas = await purgeExpiredTrash();
+            console.log(`✅ Limpeza da lixeira concluída: ${excluidas} tarefa(s) excluída(s).`);
+        } catch (error) {
+            console.error('❌ Erro na limpeza da lixeira:', error);
+            process.exitCode = 1;
+        } finally {
+            await mongoose.connection.close();
+        }
+    })();
+}
+
+module.exports = { RETENTION_DAYS, purgeExpiredTrash, scheduleTrashPurge };
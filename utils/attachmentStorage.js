@@ -0,0 +1,126 @@
+/**
+ * 📎 ARMAZENAMENTO DE ANEXOS
+ * =========================================
+ * * As rotas e o modelo não mexem em arquivos diretamente: falam com um "driver"
+ * que cumpre esta interface, para que o disco local possa ser trocado depois
+ * (S3, GridFS...) sem alterar o resto do código:
+ * - salvar(conteudo, { prefixo, extensao }) → chave (texto que identifica o arquivo)
+ * - abrir(chave) → stream de leitura do arquivo
+ * - remover(chave) → apaga o arquivo (não falha se ele já não existir)
+ * * O driver é escolhido por ANEXOS_DRIVER (por enquanto só "local"). O driver local
+ * grava em ANEXOS_DIR (padrão: ./uploads), uma pasta por usuário, com nomes aleatórios.
+ * O nome original do arquivo fica só no banco (ver o campo `anexos` em models/task.js).
+ * * Também ficam aqui os limites de upload e a conferência do tipo do arquivo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const MAX_FILE_SIZE_MB = Number(process.env.ANEXOS_TAMANHO_MAXIMO_MB) || 10;
+const MAX_FILE_SIZE = MAX_FILE_SIZE_MB * 1024 * 1024;
+const MAX_ATTACHMENTS = 20; // por tarefa
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Tipos aceitos → extensão gravada e assinatura (primeiros bytes) esperada no conteúdo.
+// A assinatura evita que um arquivo qualquer seja enviado com o tipo trocado.
+const ALLOWED_TYPES = {
+    'application/pdf': { extensao: '.pdf', assinaturas: [[0x25, 0x50, 0x44, 0x46]] }, // %PDF
+    'image/png': { extensao: '.png', assinaturas: [[0x89, 0x50, 0x4e, 0x47]] },
+    'image/jpeg': { extensao: '.jpg', assinaturas: [[0xff, 0xd8, 0xff]] },
+    'image/gif': { extensao: '.gif', assinaturas: [[0x47, 0x49, 0x46, 0x38]] }, // GIF8
+    'image/webp': { extensao: '.webp', assinaturas: [[0x52, 0x49, 0x46, 0x46]] } // RIFF
+};
+
+/**
+ * Confere se o conteúdo bate com o tipo declarado pelo navegador.
+ */
+const matchesSignature = (mimeType, conteudo) => {
+    const tipo = ALLOWED_TYPES[mimeType];
+    if (!tipo) return false;
+    return tipo.assinaturas.some(bytes => bytes.every((byte, i) => conteudo[i] === byte));
+};
+
+// Chaves geradas por este módulo: "<prefixo>/<uuid>.<ext>", sem ".." nem caminhos absolutos
+const KEY_PATTERN = /^[a-zA-Z0-9_-]+\/[a-f0-9-]{36}\.[a-z0-9]+$/;
+
+/**
+ * Driver de disco local.
+ */
+const createLocalStorage = ({ diretorio }) => {
+    const caminhoDe = (chave) => {
+        if (!KEY_PATTERN.test(chave)) {
+            throw new Error(`Chave de anexo inválida: ${chave}`);
+        }
+        return path.join(diretorio, ...chave.split('/'));
+    };
+
+    return {
+        nome: 'local',
+
+        async salvar(conteudo, { prefixo, extensao }) {
+            const chave = `${prefixo}/${randomUUID()}${extensao}`;
+            const destino = caminhoDe(chave);
+            await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+            // "wx": nunca sobrescreve um arquivo existente
+            await fs.promises.writeFile(destino, conteudo, { flag: 'wx' });
+            return chave;
+        },
+
+        abrir(chave) {
+            return fs.createReadStream(caminhoDe(chave));
+        },
+
+        async remover(chave) {
+            await fs.promises.rm(caminhoDe(chave), { force: true });
+        }
+    };
+};
+
+const DRIVERS = {
+    local: () => createLocalStorage({
+        diretorio: path.resolve(process.env.ANEXOS_DIR || path.join(__dirname, '..', 'uploads'))
+    })
+};
+
+let storage = null;
+
+/**
+ * Driver configurado (criado uma única vez).
+ */
+const getStorage = () => {
+    if (!storage) {
+        const nome = process.env.ANEXOS_DRIVER || 'local';
+        if (!DRIVERS[nome]) {
+            throw new Error(`Driver de anexos desconhecido: ${nome}. Use: ${Object.keys(DRIVERS).join(', ')}.`);
+        }
+        storage = DRIVERS[nome]();
+    }
+    return storage;
+};
+
+/**
+ * Remove vários arquivos sem interromper no primeiro erro (usado na exclusão
+ * definitiva de tarefas). Os erros só são registrados no log.
+ */
+const removeFiles = async (chaves) => {
+    for (const chave of chaves) {
+        try {
+            await getStorage().remover(chave);
+        } catch (error) {
+            console.error(`Erro ao remover o anexo ${chave}:`, error.message);
+        }
+    }
+};
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_FILE_SIZE_MB,
+    MAX_ATTACHMENTS,
+    MAX_FILES_PER_UPLOAD,
+    ALLOWED_TYPES,
+    matchesSignature,
+    createLocalStorage,
+    getStorage,
+    removeFiles
+};
@@ -0,0 +1,225 @@
+/**
+ * ♻️ RESTAURAÇÃO DE BACKUP
+ * =========================================
+ * * Lê de volta o documento gerado por GET /api/tarefas/backup
+ * ({ metadata, dados: { categorias, tarefas } }) e grava as tarefas.
+ * * Modos para tarefas cujo _id já existe no banco:
+ * - pular: mantém a tarefa do banco e ignora a do backup (padrão)
+ * - sobrescrever: substitui os campos da tarefa do banco pelos do backup
+ * - copiar: cria todas as tarefas do backup como novas (novos _id)
+ * * Com `simular`, nada é gravado: o relatório mostra o que aconteceria.
+ * * As tarefas ficam com o usuário logado. Só um admin restaurando um backup
+ * de todos os usuários (?todos=true) mantém o dono original de cada tarefa.
+ */
+
+const mongoose = require('mongoose');
+const { CODES, ValidationError, RuleError, validateInput, fieldError, toErrorList, errorMessage, withField } = require('./validation');
+const { parseDueDate } = require('./dueDate');
+const { normalizeRecurrence } = require('./recurrence');
+
+const MODOS = ['pular', 'sobrescrever', 'copiar'];
+
+// Campos da série que o backup guarda além da regra (normalizeRecurrence não os conhece)
+const SERIES_FIELDS = ['ativa', 'serieId', 'numero', 'diaDoMes', 'proximaOcorrencia'];
+
+/**
+ * Valida uma tarefa do backup com `taskSchema` e aplica as mesmas conversões do
+ * POST /api/tarefas (vencimento e recorrência). Só os campos que vieram no item
+ * são devolvidos; lança um ValidationError com os problemas.
+ */
+const taskFields = async (taskSchema, item) => {
+    const problemas = [];
+    const dados = validateInput(taskSchema, item, '', problemas);
+    if (problemas.length > 0) throw new ValidationError(problemas);
+
+    if ('dataVencimento' in dados || 'horaVencimento' in dados) {
+        Object.assign(dados, await withField('dataVencimento', () => parseDueDate(dados.dataVencimento, dados.horaVencimento)));
+    }
+
+    if ('recorrencia' in dados) {
+        const regra = await withField('recorrencia', () => normalizeRecurrence(dados.recorrencia));
+        const serie = Object.fromEntries(SERIES_FIELDS
+            .filter(campo => dados.recorrencia && dados.recorrencia[campo] !== undefined)
+            .map(campo => [campo, dados.recorrencia[campo]]));
+        dados.recorrencia = regra && { ...regra, ...serie };
+    }
+
+    delete dados.category;
+    return dados;
+};
+
+/**
+ * Aceita o arquivo como baixado ({ success, data: { metadata, dados } }) ou só o
+ * { metadata, dados }, e confere se o metadata bate com o conteúdo.
+ * Devolve { metadata, categorias, tarefas } ou lança um ValidationError com o problema.
+ */
+const validateBackup = (corpo) => {
+    const backup = corpo && corpo.data && corpo.data.metadata ? corpo.data : corpo;
+
+    if (!backup || typeof backup !== 'object' || !backup.metadata || !backup.dados) {
+        throw fieldError(null, CODES.FORMATO, 'Arquivo de backup inválido: são esperados os campos "metadata" e "dados".');
+    }
+
+    const { metadata, dados } = backup;
+    const categorias = dados.categorias === undefined ? [] : dados.categorias;
+    const tarefas = dados.tarefas;
+
+    if (!metadata.data_backup || isNaN(new Date(metadata.data_backup).getTime())) {
+        throw fieldError('metadata.data_backup', CODES.FORMATO, 'metadata.data_backup ausente ou com data inválida.');
+    }
+    if (!Array.isArray(tarefas) || !Array.isArray(categorias)) {
+        throw fieldError(Array.isArray(tarefas) ? 'dados.categorias' : 'dados.tarefas', CODES.TIPO, 'dados.tarefas e dados.categorias devem ser listas.');
+    }
+    if (metadata.total_tarefas !== tarefas.length) {
+        throw fieldError('metadata.total_tarefas', CODES.INVALIDO, `metadata.total_tarefas (${metadata.total_tarefas}) não confere com as ${tarefas.length} tarefa(s) do arquivo.`);
+    }
+    if (metadata.total_categorias !== undefined && metadata.total_categorias !== categorias.length) {
+        throw fieldError('metadata.total_categorias', CODES.INVALIDO, `metadata.total_categorias (${metadata.total_categorias}) não confere com as ${categorias.length} categoria(s) do arquivo.`);
+    }
+
+    return { metadata, categorias, tarefas };
+};
+
+const asObjectId = (valor) => (mongoose.isValidObjectId(valor) ? new mongoose.Types.ObjectId(String(valor)) : null);
+
+/**
+ * Restaura o backup e devolve o relatório:
+ * { modo, simulacao, resumo: { criadas, sobrescritas, ignoradas, falhas, categorias_criadas }, detalhes }
+ * - taskSchema: schema de cada tarefa (BACKUP_TASK, em routes/api.js)
+ * - session: req.session (dono padrão e regra de admin)
+ * - manterDono: true só para admin em ?todos=true
+ */
+const restoreBackup = async ({ Task, Category, taskSchema }, backup, { modo = 'pular', simular = false, session, manterDono = false }) => {
+    if (!MODOS.includes(modo)) {
+        throw fieldError('modo', CODES.ENUM, `Modo inválido: ${modo}. Use: ${MODOS.join(', ')}.`);
+    }
+
+    const { categorias, tarefas } = validateBackup(backup);
+    const userIsAdmin = session.userRole === 'admin';
+    const donoDe = (registro) => (manterDono && asObjectId(registro.user)) || new mongoose.Types.ObjectId(String(session.userId));
+
+    // Primeira categoria do dono. Na simulação não cria as categorias padrão
+    const categoriaPadrao = async (dono) => {
+        if (!simular) return (await Category.ensureDefaults(dono))[0];
+        return await Category.findOne({ user: dono }).sort({ ordem: 1 }) || { _id: new mongoose.Types.ObjectId() };
+    };
+
+    const resumo = { criadas: 0, sobrescritas: 0, ignoradas: 0, falhas: 0, categorias_criadas: 0 };
+    const detalhes = [];
+
+    // 1) Categorias: a do backup vira uma categoria do dono (mesmo _id, mesmo slug ou nova)
+    const mapaCategorias = new Map(); // "idDoBackup" → _id real
+    for (const item of categorias) {
+        const dono = donoDe(item);
+        const idBackup = asObjectId(item._id);
+
+        let categoria = idBackup ? await Category.findOne({ _id: idBackup, user: dono }) : null;
+        if (!categoria) {
+            categoria = await Category.findOne({ user: dono, slug: item.slug || Category.slugify(item.nome) });
+        }
+
+        if (!categoria) {
+            // Reaproveita o _id do backup se ele estiver livre
+            const idLivre = idBackup && !(await Category.exists({ _id: idBackup }));
+            categoria = new Category({
+                ...(idLivre ? { _id: idBackup } : {}),
+                nome: item.nome,
+                slug: item.slug,
+                cor: item.cor,
+                icone: item.icone,
+                ordem: item.ordem,
+                user: dono
+            });
+            try {
+                if (simular) {
+                    await categoria.validate();
+                } else {
+                    await categoria.save();
+                }
+                resumo.categorias_criadas++;
+            } catch (error) {
+                detalhes.push({ categoria: item.nome, acao: 'erro', motivo: errorMessage(error) });
+                continue;
+            }
+        }
+
+        mapaCategorias.set(`${dono}:${item._id}`, categoria._id);
+    }
+
+    // No modo copiar, a série de uma tarefa recorrente passa a apontar para as cópias
+    const mapaCopias = new Map();
+    if (modo === 'copiar') {
+        tarefas.forEach(item => mapaCopias.set(String(item._id), new mongoose.Types.ObjectId()));
+    }
+
+    // 2) Tarefas
+    for (const item of tarefas) {
+        const dono = donoDe(item);
+        const idBackup = asObjectId(item._id);
+        const registro = { _id: item._id, titulo: item.titulo };
+
+        try {
+            const dados = await taskFields(taskSchema, item);
+
+            // A categoria precisa existir para o dono: a do backup, ou a primeira dele
+            dados.category = mapaCategorias.get(`${dono}:${item.category}`)
+                || (await Category.resolveForUser(dono, item.category) || {})._id
+                || (await categoriaPadrao(dono))._id;
+
+            if (dados.recorrencia && modo === 'copiar') {
+                const serie = dados.recorrencia.serieId && mapaCopias.get(String(dados.recorrencia.serieId));
+                const proxima = dados.recorrencia.proximaOcorrencia && mapaCopias.get(String(dados.recorrencia.proximaOcorrencia));
+                dados.recorrencia = { ...dados.recorrencia, serieId: serie || null, proximaOcorrencia: proxima || null };
+            }
+
+            // Inclui a lixeira: o _id continua ocupado enquanto a tarefa não for excluída de vez
+            const existente = modo !== 'copiar' && idBackup ? await Task.findById(idBackup).incluindoLixeira() : null;
+
+            if (existente && modo === 'pular') {
+                resumo.ignoradas++;
+                detalhes.push({ ...registro, acao: 'ignorar', motivo: 'Já existe uma tarefa com este _id.' });
+                continue;
+            }
+
+            if (existente) {
+                const userIsOwner = existente.user.toString() === String(session.userId);
+                if (!userIsAdmin && !userIsOwner) {
+                    throw new RuleError('A tarefa com este _id pertence a outro usuário.');
+                }
+                // Sobrescrever com o backup também tira a tarefa da lixeira
+                Object.assign(existente, dados, { excluidaEm: null, excluidaPor: null });
+                existente.$locals.autor = session.userId;
+                if (simular) {
+                    await existente.validate();
+                } else {
+                    await existente.save();
+                }
+                resumo.sobrescritas++;
+                detalhes.push({ ...registro, acao: 'sobrescrever' });
+                continue;
+            }
+
+            const _id = modo === 'copiar' ? mapaCopias.get(String(item._id)) : idBackup || undefined;
+            const nova = new Task({ ...dados, _id, user: dono });
+            nova.$locals.autor = session.userId;
+            if (simular) {
+                await nova.validate();
+            } else {
+                await nova.save();
+            }
+            resumo.criadas++;
+            detalhes.push({ ...registro, acao: modo === 'copiar' ? 'copiar' : 'criar', novo_id: nova._id });
+        } catch (error) {
+            resumo.falhas++;
+            detalhes.push({ ...registro, acao: 'erro', motivo: errorMessage(error), errors: toErrorList(error) || undefined });
+        }
+    }
+
+    return { modo, simulacao: simular, resumo, detalhes };
+};
+
+module.exports = {
+    MODOS,
+    validateBackup,
+    restoreBackup
+};
@@ -0,0 +1,257 @@
+/**
+ * 📥 IMPORTAÇÃO DE CSV (FORMATO DO EXCEL BR)
+ * =========================================
+ * * Lê de volta o arquivo gerado por GET /api/tarefas/exportar, inclusive depois
+ * de editado no Excel: BOM no início, separador ";" (ou ","), campos entre aspas
+ * com "" para aspas internas e "Sim"/"Não" na coluna Concluída.
+ * * As colunas são reconhecidas pelo cabeçalho (sem diferenciar acentos/maiúsculas),
+ * então a ordem pode mudar e colunas extras são ignoradas. Só "Título" é obrigatória.
+ * * Linhas com um ID de tarefa existente (que o usuário pode editar) atualizam a
+ * tarefa; as demais criam tarefas novas.
+ */
+
+const mongoose = require('mongoose');
+const { format, isValid, parse } = require('date-fns');
+const { parseDueDate } = require('./dueDate');
+const { CODES, RuleError, fieldError, toErrorList, errorMessage } = require('./validation');
+
+const PRIORIDADES = ['Baixa', 'Média', 'Alta'];
+
+// Cabeçalho normalizado → campo
+const COLUMNS = {
+    'id': 'id',
+    'titulo': 'titulo',
+    'descricao': 'descricao',
+    'prioridade': 'prioridade',
+    'concluida': 'concluida',
+    'categoria': 'categoria',
+    'data de criacao': 'criadoEm',
+    'data de vencimento': 'vencimento',
+    'checklist': 'checklist'
+};
+
+const fold = (texto) => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+/**
+ * Descobre o separador pela primeira linha: o que aparecer mais fora de aspas.
+ */
+const detectDelimiter = (texto) => {
+    let pontoEVirgula = 0;
+    let virgula = 0;
+    let entreAspas = false;
+    for (const char of texto) {
+        if (char === '"') entreAspas = !entreAspas;
+        else if (!entreAspas && (char === '\n' || char === '\r')) break;
+        else if (!entreAspas && char === ';') pontoEVirgula++;
+        else if (!entreAspas && char === ',') virgula++;
+    }
+    return virgula > pontoEVirgula ? ',' : ';';
+};
+
+/**
+ * Converte o texto do CSV em uma lista de linhas (cada linha é uma lista de células).
+ * Suporta quebras de linha dentro de aspas e linhas terminadas em \r\n.
+ */
+const parseCsv = (texto) => {
+    const conteudo = String(texto).replace(/^\uFEFF/, '');
+    const separador = detectDelimiter(conteudo);
+    const linhas = [];
+    let linha = [];
+    let celula = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < conteudo.length; i++) {
+        const char = conteudo[i];
+
+        if (entreAspas) {
+            if (char === '"' && conteudo[i + 1] === '"') {
+                celula += '"';
+                i++;
+            } else if (char === '"') {
+                entreAspas = false;
+            } else {
+                celula += char;
+            }
+        } else if (char === '"') {
+            entreAspas = true;
+        } else if (char === separador) {
+            linha.push(celula);
+            celula = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && conteudo[i + 1] === '\n') i++;
+            linha.push(celula);
+            linhas.push(linha);
+            linha = [];
+            celula = '';
+        } else {
+            celula += char;
+        }
+    }
+
+    if (celula !== '' || linha.length > 0) {
+        linha.push(celula);
+        linhas.push(linha);
+    }
+
+    // Linhas totalmente vazias (ex: a última quebra de linha do arquivo) são descartadas
+    return linhas.filter(cells => cells.some(c => c.trim() !== ''));
+};
+
+const parseBoolean = (valor) => {
+    const texto = fold(valor);
+    if (['sim', 's', 'true', '1', 'x'].includes(texto)) return true;
+    if (['nao', 'n', 'false', '0', ''].includes(texto)) return false;
+    throw new RuleError(`Valor inválido: "${valor}". Use Sim ou Não.`);
+};
+
+const parsePrioridade = (valor) => {
+    const prioridade = PRIORIDADES.find(p => fold(p) === fold(valor));
+    if (!prioridade) {
+        throw new RuleError(`Prioridade inválida: "${valor}". Use: ${PRIORIDADES.join(', ')}.`);
+    }
+    return prioridade;
+};
+
+/**
+ * Vencimento como exportado (ISO) ou como o Excel costuma reescrever ("dd/MM/aaaa HH:mm").
+ * Devolve os campos do modelo via parseDueDate; uma hora de 23:59 é tratada como "sem hora".
+ */
+const parseVencimento = (valor) => {
+    const texto = valor.trim();
+    if (!texto) return parseDueDate(null);
+
+    const formatoBr = ['dd/MM/yyyy HH:mm', 'dd/MM/yyyy HH:mm:ss', 'dd/MM/yyyy']
+        .map(formato => parse(texto, formato, new Date()))
+        .find(isValid);
+    const data = formatoBr || new Date(texto);
+
+    if (!isValid(data)) {
+        throw new RuleError(`Data de vencimento inválida: "${valor}". Use AAAA-MM-DD ou DD/MM/AAAA.`);
+    }
+
+    // Sem hora no texto, ou 23:59 (o fim do dia que a exportação grava), é um vencimento só com o dia
+    const hora = format(data, 'HH:mm');
+    const semHora = !texto.includes(':') || hora === '23:59';
+    return parseDueDate(format(data, 'yyyy-MM-dd'), semHora ? null : hora);
+};
+
+// "[x] item 1 | [ ] item 2" → itens do checklist
+const parseChecklist = (valor) => valor
+    .split('|')
+    .map(parte => parte.trim())
+    .filter(Boolean)
+    .map((parte, posicao) => {
+        const match = /^\[([ xX]?)\]\s*(.*)$/.exec(parte);
+        return match
+            ? { texto: match[2], concluido: match[1].toLowerCase() === 'x', posicao }
+            : { texto: parte, concluido: false, posicao };
+    });
+
+// Erro de validação do Mongoose → [{ campo, mensagem }] (mensagens em pt-BR, ver utils/validation.js)
+const validationErrors = (error) => (toErrorList(error) || [{ field: null, message: errorMessage(error) }])
+    .map(e => ({ campo: e.field, mensagem: e.message }));
+
+/**
+ * Lê o CSV e valida cada linha com o schema de Task. Com `simular`, só devolve a prévia;
+ * sem, grava as linhas válidas (as inválidas são ignoradas e continuam no relatório).
+ * - resolveCategory(userId, valor): mesma regra de categoria do POST /api/tarefas
+ * - canEdit(task): mesma regra de permissão das rotas que alteram tarefas
+ * Resposta: { simulacao, resumo: { total, validas, invalidas, criadas, atualizadas }, linhas }
+ */
+const importTasksCsv = async (Task, texto, { simular = true, userId, resolveCategory, canEdit }) => {
+    const [cabecalho, ...registros] = parseCsv(texto);
+    if (!cabecalho) {
+        throw fieldError('csv', CODES.OBRIGATORIO, 'O arquivo CSV está vazio.');
+    }
+
+    const colunas = cabecalho.map(nome => COLUMNS[fold(nome)] || null);
+    if (!colunas.includes('titulo')) {
+        throw fieldError('csv', CODES.FORMATO, 'Cabeçalho inválido: a coluna "Título" é obrigatória.');
+    }
+
+    const resumo = { total: registros.length, validas: 0, invalidas: 0, criadas: 0, atualizadas: 0 };
+    const linhas = [];
+
+    for (const [index, celulas] of registros.entries()) {
+        const valores = {};
+        colunas.forEach((campo, i) => {
+            if (campo) valores[campo] = (celulas[i] || '').trim();
+        });
+
+        // Linha 1 é o cabeçalho
+        const linha = { linha: index + 2, acao: 'criar', dados: valores, erros: [] };
+        const erro = (campo, error) => linha.erros.push({ campo, mensagem: errorMessage(error) });
+
+        const existente = valores.id && mongoose.isValidObjectId(valores.id)
+            ? await Task.findById(valores.id)
+            : null;
+        const task = existente && canEdit(existente) ? existente : new Task({ user: userId });
+        if (!task.isNew) linha.acao = 'atualizar';
+        task.$locals.autor = userId;
+
+        const campos = { titulo: valores.titulo };
+        if ('descricao' in valores) campos.descricao = valores.descricao;
+
+        // Cada coluna convertida separadamente, para reportar todos os erros da linha de uma vez
+        const conversoes = [
+            ['prioridade', 'prioridade', (v) => (v.trim() ? { prioridade: parsePrioridade(v) } : {})],
+            ['concluida', 'concluida', (v) => ({ concluida: parseBoolean(v) })],
+            ['vencimento', 'dataVencimento', parseVencimento],
+            ['checklist', 'itens', (v) => ({ itens: parseChecklist(v) })]
+        ];
+        conversoes.forEach(([coluna, campo, converter]) => {
+            if (!(coluna in valores)) return;
+            try {
+                Object.assign(campos, converter(valores[coluna]));
+            } catch (e) {
+                erro(campo, e);
+            }
+        });
+
+        if (task.isNew && valores.criadoEm && isValid(new Date(valores.criadoEm))) {
+            campos.createdAt = new Date(valores.criadoEm);
+        }
+
+        if (valores.categoria || task.isNew) {
+            try {
+                campos.category = (await resolveCategory(task.user, valores.categoria))._id;
+            } catch (e) {
+                erro('category', e);
+            }
+        }
+
+        const estavaConcluida = task.concluida;
+        Object.assign(task, campos);
+        try {
+            await task.validate();
+        } catch (e) {
+            // Campos que já falharam na conversão não precisam do erro repetido pelo schema
+            const jaReportados = linha.erros.map(x => x.campo);
+            linha.erros.push(...validationErrors(e).filter(x => !jaReportados.includes(x.campo)));
+        }
+
+        if (linha.erros.length > 0) {
+            resumo.invalidas++;
+        } else {
+            resumo.validas++;
+            if (!simular) {
+                await task.save();
+                // Mesma regra do PUT: concluir uma tarefa recorrente cria a próxima ocorrência
+                if (linha.acao === 'atualizar' && !estavaConcluida && task.concluida) {
+                    await task.spawnNextOccurrence();
+                }
+                resumo[linha.acao === 'criar' ? 'criadas' : 'atualizadas']++;
+                linha.id = task._id;
+            }
+        }
+
+        linhas.push(linha);
+    }
+
+    return { simulacao: simular, resumo, linhas };
+};
+
+module.exports = {
+    parseCsv,
+    importTasksCsv
+};
@@ -0,0 +1,109 @@
+/**
+ * 📅 UTILITÁRIOS DE DATA DE VENCIMENTO
+ * =========================================
+ * * Funções compartilhadas entre a API e as páginas para lidar com o prazo
+ * (vencimento) das tarefas.
+ * * O vencimento é salvo em um único campo Date (`dataVencimento`). Quando o
+ * usuário informa só o dia, guardamos o FIM desse dia (23:59:59.999), assim
+ * "atrasada" é sempre simplesmente `dataVencimento < agora`.
+ */
+
+const { parse, isValid, endOfDay, startOfDay, addDays, endOfWeek } = require('date-fns');
+const { RuleError } = require('./validation');
+
+const DATE_FORMAT = 'yyyy-MM-dd';
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Converte os valores vindos do formulário/API (data "AAAA-MM-DD" e hora "HH:mm",
+ * ambos opcionais) nos campos salvos no modelo.
+ * Lança um RuleError com mensagem amigável se algum valor for inválido.
+ */
+const parseDueDate = (data, hora) => {
+    // Data vazia remove o vencimento
+    if (data === undefined || data === null || data === '') {
+        return { dataVencimento: null, horaVencimento: null };
+    }
+
+    // Aceita também uma data ISO completa (ex: vinda de um backup/exportação JSON)
+    const dia = typeof data === 'string' && data.length === 10
+        ? parse(data, DATE_FORMAT, new Date())
+        : new Date(data);
+
+    if (!isValid(dia)) {
+        throw new RuleError('Data de vencimento inválida. Use o formato AAAA-MM-DD.');
+    }
+
+    if (hora === undefined || hora === null || hora === '') {
+        return { dataVencimento: endOfDay(dia), horaVencimento: null };
+    }
+
+    if (!TIME_REGEX.test(hora)) {
+        throw new RuleError('Hora de vencimento inválida. Use o formato HH:mm.');
+    }
+
+    const [horas, minutos] = hora.split(':').map(Number);
+    const vencimento = startOfDay(dia);
+    vencimento.setHours(horas, minutos);
+
+    return { dataVencimento: vencimento, horaVencimento: hora };
+};
+
+/**
+ * Converte a janela do filtro ?vencendo= (ex: "7d", "2w", "3") em número de dias.
+ * Retorna null se o valor não for reconhecido.
+ */
+const parseWindowInDays = (valor) => {
+    const match = /^(\d+)\s*([dw]?)$/i.exec(String(valor).trim());
+    if (!match) return null;
+
+    const quantidade = Number(match[1]);
+    return match[2].toLowerCase() === 'w' ? quantidade * 7 : quantidade;
+};
+
+/**
+ * Filtro do MongoDB para tarefas pendentes que vencem entre agora e os próximos `dias`.
+ */
+const dueWithinFilter = (dias, agora = new Date()) => ({
+    concluida: false,
+    dataVencimento: { $gte: agora, $lte: endOfDay(addDays(agora, dias)) }
+});
+
+/**
+ * Filtro do MongoDB para tarefas pendentes com o vencimento já passado.
+ */
+const overdueFilter = (agora = new Date()) => ({
+    concluida: false,
+    dataVencimento: { $lt: agora }
+});
+
+/**
+ * Indica se uma tarefa (documento ou objeto "lean") está atrasada.
+ */
+const isOverdue = (task, agora = new Date()) => {
+    return !task.concluida && !!task.dataVencimento && new Date(task.dataVencimento) < agora;
+};
+
+/**
+ * Classifica a tarefa em um dos grupos da página de agenda:
+ * 'atrasadas', 'hoje', 'semana' ou 'depois'. Tarefas sem vencimento retornam null.
+ */
+const dueGroup = (task, agora = new Date()) => {
+    if (!task.dataVencimento) return null;
+
+    const vencimento = new Date(task.dataVencimento);
+    if (vencimento < agora) return 'atrasadas';
+    if (vencimento <= endOfDay(agora)) return 'hoje';
+    // Semana no padrão brasileiro: de domingo a sábado
+    if (vencimento <= endOfWeek(agora)) return 'semana';
+    return 'depois';
+};
+
+module.exports = {
+    parseDueDate,
+    parseWindowInDays,
+    dueWithinFilter,
+    overdueFilter,
+    isOverdue,
+    dueGroup
+};
@@ -0,0 +1,140 @@
+/**
+ * 🚦 PROTEÇÃO DO LOGIN (FORÇA BRUTA)
+ * =========================================
+ * * Duas barreiras contra quem tenta adivinhar senhas:
+ * - Limite por IP e por e-mail (em memória): depois de algumas falhas, cada nova
+ *   tentativa precisa esperar o dobro da anterior (1s, 2s, 4s... até 15 minutos).
+ *   Vale também para e-mails que não existem, para não revelar quem está cadastrado.
+ * - Bloqueio da conta (no documento do User): a partir de MAX_FAILED_ATTEMPTS falhas
+ *   seguidas, a conta fica bloqueada por LOCKOUT_MINUTES, dobrando a cada nova falha.
+ *   Um login certo zera a contagem; um admin pode desbloquear em /admin.
+ * * Qualquer forma de login (senha, tokens de acesso...) deve passar por aqui:
+ * checkThrottle antes de tudo, checkLockout com a conta encontrada e
+ * registerFailure / registerSuccess com o resultado.
+ */
+
+const User = require('../models/user');
+
+const MAX_FAILED_ATTEMPTS = 10;
+const LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Falhas toleradas antes de começar a espera. O IP tolera mais porque várias
+// pessoas podem sair pelo mesmo IP (ex: rede da escola).
+const FREE_ATTEMPTS = { ip: 10, email: 3 };
+const MAX_BACKOFF_SECONDS = 15 * 60;
+// Falhas mais antigas que isso são esquecidas
+const WINDOW_MS = 60 * 60 * 1000;
+
+// "ip:1.2.3.4" / "email:ana@x.com" → { falhas, ultimaFalha, liberadoEm }
+const attempts = new Map();
+
+const keysOf = ({ ip, email }) => [
+    ip ? `ip:${ip}` : null,
+    email ? `email:${String(email).trim().toLowerCase()}` : null
+].filter(Boolean);
+
+const currentEntry = (chave) => {
+    const entrada = attempts.get(chave);
+    if (entrada && Date.now() - entrada.ultimaFalha > WINDOW_MS) {
+        attempts.delete(chave);
+        return null;
+    }
+    return entrada || null;
+};
+
+/**
+ * A tentativa ({ ip, email }) precisa esperar? Devolve null ou { motivo: 'limite', espera }
+ * (espera em segundos).
+ */
+const checkThrottle = (tentativa) => {
+    const espera = Math.max(0, ...keysOf(tentativa).map(chave => {
+        const entrada = currentEntry(chave);
+        return entrada ? Math.ceil((entrada.liberadoEm - Date.now()) / 1000) : 0;
+    }));
+    return espera > 0 ? { motivo: 'limite', espera } : null;
+};
+
+/**
+ * A conta está bloqueada? Devolve null ou { motivo: 'bloqueio', espera } (segundos).
+ */
+const checkLockout = (user) => {
+    if (!user || !user.bloqueadoAte || user.bloqueadoAte <= new Date()) return null;
+    return { motivo: 'bloqueio', espera: Math.ceil((user.bloqueadoAte - Date.now()) / 1000) };
+};
+
+/**
+ * Registra uma tentativa errada para o IP, o e-mail e (se existir) a conta.
+ */
+const registerFailure = async (tentativa, user) => {
+    keysOf(tentativa).forEach(chave => {
+        const entrada = currentEntry(chave) || { falhas: 0 };
+        entrada.falhas++;
+        entrada.ultimaFalha = Date.now();
+
+        const excedentes = entrada.falhas - FREE_ATTEMPTS[chave.split(':')[0]];
+        const espera = excedentes >= 0 ? Math.min(2 ** excedentes, MAX_BACKOFF_SECONDS) : 0;
+        entrada.liberadoEm = Date.now() + espera * 1000;
+        attempts.set(chave, entrada);
+    });
+
+    if (!user) return;
+
+    // $inc para não perder falhas de requisições simultâneas
+    const atualizado = await User.findByIdAndUpdate(user._id, { $inc: { tentativasFalhas: 1 } }, { new: true })
+        .select('tentativasFalhas');
+    const excedentes = atualizado ? atualizado.tentativasFalhas - MAX_FAILED_ATTEMPTS : -1;
+    if (excedentes >= 0) {
+        const minutos = Math.min(LOCKOUT_MINUTES * 2 ** excedentes, MAX_LOCKOUT_MINUTES);
+        await User.updateOne({ _id: user._id }, { $set: { bloqueadoAte: new Date(Date.now() + minutos * 60 * 1000) } });
+    }
+};
+
+/**
+ * Login certo: esquece as falhas do e-mail e zera as da conta. As do IP continuam,
+ * senão uma conta própria serviria para "limpar" o IP entre tentativas em outras.
+ */
+const registerSuccess = async (tentativa, user) => {
+    keysOf({ email: tentativa.email }).forEach(chave => attempts.delete(chave));
+    if (user && (user.tentativasFalhas || user.bloqueadoAte)) {
+        await User.updateOne({ _id: user._id }, { $set: { tentativasFalhas: 0, bloqueadoAte: null } });
+    }
+};
+
+/**
+ * Desbloqueio pelo admin (ou após redefinir a senha): zera as falhas da conta e do
+ * e-mail dela. Só altera o documento; quem chama salva.
+ */
+const unlockAccount = (user) => {
+    keysOf({ email: user.email }).forEach(chave => attempts.delete(chave));
+    user.tentativasFalhas = 0;
+    user.bloqueadoAte = null;
+};
+
+// "40 segundo(s)" / "3 minuto(s)" para as mensagens de erro
+const describeWait = (segundos) => (segundos < 60
+    ? `${segundos} segundo(s)`
+    : `${Math.ceil(segundos / 60)} minuto(s)`);
+
+/**
+ * Mensagem para o usuário a partir do resultado de checkThrottle/checkLockout.
+ */
+const blockedMessage = ({ motivo, espera }) => (motivo === 'bloqueio'
+    ? `Esta conta foi bloqueada temporariamente depois de várias tentativas de login sem sucesso. Tente novamente em ${describeWait(espera)} ou fale com um administrador.`
+    : `Muitas tentativas de login. Aguarde ${describeWait(espera)} antes de tentar novamente.`);
+
+// Limpeza periódica das entradas vencidas (unref: não impede o processo de terminar)
+setInterval(() => {
+    for (const chave of attempts.keys()) currentEntry(chave);
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MINUTES,
+    checkThrottle,
+    checkLockout,
+    registerFailure,
+    registerSuccess,
+    unlockAccount,
+    blockedMessage
+};
@@ -0,0 +1,124 @@
+/**
+ * ✉️ ENVIO DE E-MAILS
+ * =========================================
+ * * As rotas não falam com o servidor de e-mail diretamente: chamam sendMail, que
+ * usa o "driver" escolhido por EMAIL_DRIVER. Todo driver cumpre a mesma interface:
+ * - enviar({ para, assunto, texto, html }) → { id } (identificador da mensagem)
+ * * Drivers:
+ * - smtp: envia de verdade (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - console: só mostra a mensagem no terminal (padrão, bom para desenvolvimento)
+ * - arquivo: grava cada mensagem como um .eml em EMAIL_SAIDA_DIR (padrão ./outbox),
+ *   que abre em qualquer programa de e-mail. Serve para testar o fluxo sem internet.
+ * * O remetente vem de EMAIL_REMETENTE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const REMETENTE = process.env.EMAIL_REMETENTE || 'Aplicativo Híbrido <nao-responda@localhost>';
+
+// Mensagem no formato do nodemailer, comum aos drivers
+const toMessage = ({ para, assunto, texto, html }) => ({ from: REMETENTE, to: para, subject: assunto, text: texto, html });
+
+/**
+ * Driver SMTP.
+ */
+const createSmtpMailer = ({ host, port, secure, user, pass }) => {
+    const transporte = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        nome: 'smtp',
+
+        async enviar(mensagem) {
+            const info = await transporte.sendMail(toMessage(mensagem));
+            return { id: info.messageId };
+        }
+    };
+};
+
+/**
+ * Driver de console.
+ */
+const createConsoleMailer = () => ({
+    nome: 'console',
+
+    async enviar({ para, assunto, texto }) {
+        console.log([
+            '✉️  ================= E-MAIL (driver console) =================',
+            `Para: ${para}`,
+            `Assunto: ${assunto}`,
+            '',
+            texto,
+            '=============================================================='
+        ].join('\n'));
+        return { id: null };
+    }
+});
+
+/**
+ * Driver de arquivo (caixa de saída local).
+ */
+const createFileMailer = ({ diretorio }) => {
+    // Só monta a mensagem (cabeçalhos, partes texto/HTML), sem enviar
+    const transporte = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        nome: 'arquivo',
+
+        async enviar(mensagem) {
+            const info = await transporte.sendMail(toMessage(mensagem));
+            const nome = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^a-zA-Z0-9-]/g, '')}.eml`;
+
+            await fs.promises.mkdir(diretorio, { recursive: true });
+            await fs.promises.writeFile(path.join(diretorio, nome), info.message);
+            return { id: info.messageId, arquivo: nome };
+        }
+    };
+};
+
+const DRIVERS = {
+    smtp: () => createSmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }),
+    console: createConsoleMailer,
+    arquivo: () => createFileMailer({
+        diretorio: path.resolve(process.env.EMAIL_SAIDA_DIR || path.join(__dirname, '..', 'outbox'))
+    })
+};
+
+let mailer = null;
+
+/**
+ * Driver configurado (criado uma única vez).
+ */
+const getMailer = () => {
+    if (!mailer) {
+        const nome = process.env.EMAIL_DRIVER || 'console';
+        if (!DRIVERS[nome]) {
+            throw new Error(`Driver de e-mail desconhecido: ${nome}. Use: ${Object.keys(DRIVERS).join(', ')}.`);
+        }
+        mailer = DRIVERS[nome]();
+    }
+    return mailer;
+};
+
+// Atalho usado pelas rotas
+const sendMail = (mensagem) => getMailer().enviar(mensagem);
+
+module.exports = {
+    createSmtpMailer,
+    createConsoleMailer,
+    createFileMailer,
+    getMailer,
+    sendMail
+};
@@ -0,0 +1,228 @@
+/**
+ * 🔁 UTILITÁRIOS DE RECORRÊNCIA
+ * =========================================
+ * * Regras de repetição das tarefas (manutenção do carro, tarefas semanais...).
+ * Todos os tipos aceitos pela API são convertidos para uma mesma estrutura
+ * interna, no estilo do RRULE (RFC 5545):
+ * { freq: 'DAILY' | 'WEEKLY' | 'MONTHLY', interval, byDay: [0-6], until, count }
+ * * Tipos aceitos em `recorrencia.tipo`:
+ * - 'diaria'    → todo dia
+ * - 'semanal'   → toda semana, nos dias de `diasSemana` (0 = domingo ... 6 = sábado)
+ * - 'mensal'    → todo mês, no mesmo dia (o do primeiro vencimento, ver `diaDoMes`)
+ * - 'intervalo' → a cada `intervalo` dias
+ * - 'rrule'     → subconjunto do RRULE: FREQ (DAILY/WEEKLY/MONTHLY), INTERVAL, BYDAY, UNTIL e COUNT
+ */
+
+const { addDays, addMonths, addWeeks, startOfWeek, differenceInCalendarWeeks, getDaysInMonth, isValid, parse, endOfDay } = require('date-fns');
+const { RuleError } = require('./validation');
+
+const TIPOS = ['diaria', 'semanal', 'mensal', 'intervalo', 'rrule'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DIAS_SEMANA = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+/**
+ * Lê uma regra RRULE (ex: "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH") e devolve a estrutura interna.
+ * Lança um RuleError se a regra usar algo fora do subconjunto suportado.
+ */
+const parseRRule = (texto) => {
+    const regra = { freq: null, interval: 1, byDay: [], until: null, count: null };
+    const partes = String(texto).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    partes.forEach(parte => {
+        const [chave, valor = ''] = parte.split('=').map(v => v.trim().toUpperCase());
+
+        switch (chave) {
+            case 'FREQ':
+                if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(valor)) {
+                    throw new RuleError(`FREQ não suportada: ${valor}. Use DAILY, WEEKLY ou MONTHLY.`);
+                }
+                regra.freq = valor;
+                break;
+            case 'INTERVAL':
+                regra.interval = Number(valor);
+                break;
+            case 'BYDAY':
+                regra.byDay = valor.split(',').map(dia => {
+                    const index = RRULE_DAYS.indexOf(dia);
+                    if (index === -1) throw new RuleError(`Dia inválido em BYDAY: ${dia}`);
+                    return index;
+                });
+                break;
+            case 'UNTIL': {
+                const data = parse(valor.slice(0, 8), 'yyyyMMdd', new Date());
+                if (!isValid(data)) throw new RuleError('UNTIL inválido. Use o formato AAAAMMDD.');
+                regra.until = endOfDay(data);
+                break;
+            }
+            case 'COUNT':
+                regra.count = Number(valor);
+                break;
+            default:
+                throw new RuleError(`Parâmetro de RRULE não suportado: ${chave}`);
+        }
+    });
+
+    if (!regra.freq) {
+        throw new RuleError('A regra RRULE precisa de FREQ.');
+    }
+    return regra;
+};
+
+/**
+ * Converte a recorrência salva na tarefa para a estrutura interna.
+ */
+const toRule = (recorrencia) => {
+    const base = recorrencia.tipo === 'rrule'
+        ? parseRRule(recorrencia.rrule)
+        : {
+            freq: { diaria: 'DAILY', semanal: 'WEEKLY', mensal: 'MONTHLY', intervalo: 'DAILY' }[recorrencia.tipo],
+            interval: recorrencia.tipo === 'intervalo' ? recorrencia.intervalo : 1,
+            byDay: recorrencia.tipo === 'semanal' ? [...(recorrencia.diasSemana || [])] : [],
+            until: null,
+            count: null
+        };
+
+    // "fim" e "contagem" do formulário têm prioridade sobre UNTIL/COUNT
+    if (recorrencia.fim) base.until = endOfDay(new Date(recorrencia.fim));
+    if (recorrencia.contagem) base.count = recorrencia.contagem;
+    return base;
+};
+
+/**
+ * Valida e normaliza a recorrência recebida pela API.
+ * Retorna null (sem recorrência) quando o valor é vazio ou tipo "nenhuma".
+ */
+const normalizeRecurrence = (input) => {
+    if (!input || !input.tipo || input.tipo === 'nenhuma') {
+        return null;
+    }
+
+    if (!TIPOS.includes(input.tipo)) {
+        throw new RuleError(`Tipo de recorrência inválido. Use: ${TIPOS.join(', ')}.`);
+    }
+
+    const recorrencia = {
+        tipo: input.tipo,
+        diasSemana: [],
+        intervalo: 1,
+        rrule: null,
+        fim: null,
+        contagem: null,
+        ativa: true
+    };
+
+    if (input.tipo === 'semanal') {
+        recorrencia.diasSemana = [...new Set((input.diasSemana || []).map(Number))].sort();
+        if (recorrencia.diasSemana.length === 0 || recorrencia.diasSemana.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            throw new RuleError('Informe os dias da semana (0 = domingo ... 6 = sábado) para a recorrência semanal.');
+        }
+    }
+
+    if (input.tipo === 'intervalo') {
+        recorrencia.intervalo = Number(input.intervalo);
+        if (!Number.isInteger(recorrencia.intervalo) || recorrencia.intervalo < 1) {
+            throw new RuleError('O intervalo da recorrência deve ser um número inteiro de dias maior que zero.');
+        }
+    }
+
+    if (input.tipo === 'rrule') {
+        recorrencia.rrule = String(input.rrule || '').trim().toUpperCase();
+        const regra = parseRRule(recorrencia.rrule); // Lança erro se for inválida
+        if (!Number.isInteger(regra.interval) || regra.interval < 1) {
+            throw new RuleError('INTERVAL deve ser um número inteiro maior que zero.');
+        }
+    }
+
+    if (input.fim) {
+        recorrencia.fim = new Date(input.fim);
+        if (!isValid(recorrencia.fim)) throw new RuleError('Data de fim da recorrência inválida.');
+    }
+
+    if (input.contagem) {
+        recorrencia.contagem = Number(input.contagem);
+        if (!Number.isInteger(recorrencia.contagem) || recorrencia.contagem < 1) {
+            throw new RuleError('A quantidade de repetições deve ser um número inteiro maior que zero.');
+        }
+    }
+
+    return recorrencia;
+};
+
+/**
+ * Calcula a próxima data da série a partir de `desde` (normalmente o vencimento atual).
+ * `numero` é a posição da ocorrência atual na série (1 = primeira), usada no COUNT.
+ * Retorna null quando a série já terminou.
+ */
+const nextOccurrence = (recorrencia, desde, numero = 1) => {
+    const regra = toRule(recorrencia);
+    const base = new Date(desde);
+    let proxima;
+
+    if (regra.count && numero >= regra.count) {
+        return null;
+    }
+
+    if (regra.freq === 'DAILY') {
+        proxima = addDays(base, regra.interval);
+    } else if (regra.freq === 'MONTHLY') {
+        // addMonths para no último dia de um mês mais curto (31/01 → 28/02); a série
+        // volta ao dia original nos meses seguintes (→ 31/03)
+        proxima = addMonths(base, regra.interval);
+        const dia = recorrencia.diaDoMes || base.getDate();
+        proxima.setDate(Math.min(dia, getDaysInMonth(proxima)));
+    } else if (regra.byDay.length === 0) {
+        proxima = addWeeks(base, regra.interval);
+    } else {
+        // Procura o próximo dia permitido, só em semanas "ativas" (a cada INTERVAL semanas)
+        const semanaBase = startOfWeek(base);
+        for (let i = 1; i <= 7 * regra.interval + 7; i++) {
+            const candidato = addDays(base, i);
+            const semanasDeDistancia = differenceInCalendarWeeks(startOfWeek(candidato), semanaBase);
+            if (regra.byDay.includes(candidato.getDay()) && semanasDeDistancia % regra.interval === 0) {
+                proxima = candidato;
+                break;
+            }
+        }
+    }
+
+    if (!proxima || (regra.until && proxima > regra.until)) {
+        return null;
+    }
+    return proxima;
+};
+
+// Campos que definem a regra; os demais (ativa, serieId, numero...) controlam a série
+const RULE_FIELDS = ['tipo', 'diasSemana', 'intervalo', 'rrule', 'fim', 'contagem'];
+
+/**
+ * As duas recorrências têm a mesma regra? (null = sem recorrência)
+ */
+const sameRule = (a, b) => {
+    const regra = (recorrencia) => recorrencia && RULE_FIELDS.map(campo => (recorrencia[campo] === undefined ? null : recorrencia[campo]));
+    return JSON.stringify(regra(a) || null) === JSON.stringify(regra(b) || null);
+};
+
+/**
+ * Texto curto para exibir a regra nas telas (ex: "Semanal: segunda, quinta").
+ */
+const describeRecurrence = (recorrencia) => {
+    if (!recorrencia) return '';
+
+    switch (recorrencia.tipo) {
+        case 'diaria': return 'Diária';
+        case 'semanal': return `Semanal: ${(recorrencia.diasSemana || []).map(d => DIAS_SEMANA[d]).join(', ')}`;
+        case 'mensal': return 'Mensal';
+        case 'intervalo': return `A cada ${recorrencia.intervalo} dias`;
+        case 'rrule': return `RRULE: ${recorrencia.rrule}`;
+        default: return '';
+    }
+};
+
+module.exports = {
+    TIPOS,
+    parseRRule,
+    normalizeRecurrence,
+    nextOccurrence,
+    sameRule,
+    describeRecurrence
+};
@@ -0,0 +1,116 @@
+/**
+ * 🔍 BUSCA TEXTUAL DE TAREFAS
+ * =========================================
+ * * Usa o índice de texto do MongoDB em `titulo` e `descricao` (ver models/task.js).
+ * O índice é em português e, na versão 3, já ignora acentos: "manutencao"
+ * encontra "manutenção". Os resultados vêm ordenados pela relevância (textScore).
+ * * Os trechos destacados são gerados aqui, em HTML já escapado, com os termos
+ * encontrados dentro de <mark>. Como o MongoDB também aplica radicais (stemming)
+ * — "revisões" encontra "revisão" — o destaque marca as palavras que COMEÇAM com
+ * o radical aproximado de cada termo buscado.
+ */
+
+const MAX_RESULTS = 50;
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (texto) => String(texto)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Remove acentos e deixa em minúsculas, caractere por caractere (mantém as posições)
+const foldChar = (char) => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char;
+const fold = (texto) => Array.from(String(texto), foldChar).join('');
+
+/**
+ * Quebra a busca em termos e calcula o "radical" usado no destaque de cada um.
+ * Termos com "-" na frente são exclusões no $text e não são destacados.
+ */
+const highlightStems = (q) => String(q)
+    .split(/\s+/)
+    .map(termo => termo.replace(/^"+|"+$/g, ''))
+    .filter(termo => termo && !termo.startsWith('-'))
+    .map(termo => fold(termo).replace(/[^a-z0-9]/g, ''))
+    .filter(termo => termo.length >= 2)
+    .map(termo => termo.slice(0, Math.max(4, termo.length - 3)));
+
+/**
+ * Gera o trecho destacado de um texto: recorta ~160 caracteres em volta do
+ * primeiro termo encontrado e envolve as palavras encontradas em <mark>.
+ */
+const highlight = (texto, radicais, { recortar = true } = {}) => {
+    if (!texto) return '';
+
+    const original = Array.from(String(texto));
+    const dobrado = fold(texto);
+    const trechos = []; // [inicio, fim) das palavras que casam
+
+    const palavra = /[a-z0-9]+/g;
+    let match;
+    while ((match = palavra.exec(dobrado)) !== null) {
+        if (radicais.some(radical => match[0].startsWith(radical))) {
+            trechos.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    // Janela do recorte, centrada no primeiro resultado
+    let inicio = 0;
+    let fim = original.length;
+    if (recortar && original.length > SNIPPET_LENGTH) {
+        const centro = trechos.length > 0 ? trechos[0][0] : 0;
+        inicio = Math.max(0, Math.min(centro - SNIPPET_LENGTH / 4, original.length - SNIPPET_LENGTH));
+        fim = inicio + SNIPPET_LENGTH;
+    }
+
+    let html = inicio > 0 ? '…' : '';
+    let cursor = inicio;
+    trechos
+        .filter(([a, b]) => a >= inicio && b <= fim)
+        .forEach(([a, b]) => {
+            html += escapeHtml(original.slice(cursor, a).join(''));
+            html += `<mark>${escapeHtml(original.slice(a, b).join(''))}</mark>`;
+            cursor = b;
+        });
+    html += escapeHtml(original.slice(cursor, fim).join(''));
+    if (fim < original.length) html += '…';
+
+    return html;
+};
+
+/**
+ * Executa a busca textual dentro do escopo (req.taskScope) e devolve os resultados
+ * já ordenados por relevância, com a categoria e os trechos destacados.
+ */
+const searchTasks = async (Task, { q, scope = {}, limit = 20 }) => {
+    const termos = String(q || '').trim();
+    if (!termos) {
+        return [];
+    }
+
+    const resultados = await Task.find(
+        { ...scope, $text: { $search: termos } },
+        { score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(Math.min(limit, MAX_RESULTS))
+        .populate('category', 'nome slug cor icone')
+        .lean();
+
+    const radicais = highlightStems(termos);
+
+    return resultados.map(task => ({
+        ...task,
+        destaque: {
+            titulo: highlight(task.titulo, radicais, { recortar: false }),
+            descricao: highlight(task.descricao, radicais)
+        }
+    }));
+};
+
+module.exports = {
+    MAX_RESULTS,
+    highlight,
+    highlightStems,
+    searchTasks
+};
@@ -0,0 +1,39 @@
+/**
+ * 🏷️ TAGS DAS TAREFAS
+ * =========================================
+ * * Tags livres (ex: #urgente, #orientador) que complementam a categoria.
+ * São guardadas sem o "#", em minúsculas e com hífen no lugar de espaços,
+ * para que "#Urgente", "urgente" e " URGENTE " sejam a mesma tag.
+ */
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normaliza uma tag: "#Minha Tag" → "minha-tag". Devolve '' se não sobrar nada.
+ */
+const normalizeTag = (valor) => String(valor || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Aceita um array ou um texto ("#urgente, orientador" / "#urgente #orientador")
+ * e devolve a lista de tags normalizada e sem repetições.
+ */
+const normalizeTags = (valor) => {
+    if (valor === undefined || valor === null || valor === '') return [];
+    const lista = Array.isArray(valor) ? valor : String(valor).split(/[,\s]+/);
+    return [...new Set(lista.map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = {
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    normalizeTag,
+    normalizeTags
+};
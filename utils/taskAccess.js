@@ -0,0 +1,76 @@
+/**
+ * 👥 PERMISSÕES DE TAREFAS COMPARTILHADAS
+ * =========================================
+ * * Uma tarefa é do dono (campo `user`), mas outras pessoas podem ter acesso a ela:
+ * - pela lista (categoria) compartilhada com elas como leitor ou editor;
+ * - por serem o responsável (`responsavel`) pela tarefa.
+ * * Níveis, do menor para o maior:
+ * - leitor: vê a tarefa, o histórico, os anexos e os comentários (e pode comentar)
+ * - responsavel: também altera a tarefa (menos a lista e o responsável)
+ * - editor: também escolhe o responsável e move a tarefa para a lixeira
+ * - dono: tudo, inclusive trocar a lista. Admins têm sempre este nível
+ */
+
+const mongoose = require('mongoose');
+const Category = require('../models/category');
+const { CODES, fieldError } = require('./validation');
+
+const NIVEIS = ['leitor', 'responsavel', 'editor', 'dono'];
+
+/**
+ * Nível de acesso do usuário da sessão à tarefa, ou null se ele não tiver acesso.
+ */
+const taskAccessLevel = async (task, session) => {
+    const userId = String(session.userId);
+    if (session.userRole === 'admin' || String(task.user) === userId) return 'dono';
+
+    const categoria = await Category.findById(task.category).select('user compartilhamentos');
+    const nivelLista = categoria ? categoria.nivelDe(userId) : null;
+
+    if (nivelLista === 'editor') return 'editor';
+    if (task.responsavel && String(task.responsavel) === userId) return 'responsavel';
+    return nivelLista === 'leitor' ? 'leitor' : null;
+};
+
+// O nível `nivel` permite o que exige `minimo`?
+const hasAccess = (nivel, minimo) => nivel !== null && NIVEIS.indexOf(nivel) >= NIVEIS.indexOf(minimo);
+
+/**
+ * Pessoas que podem ser responsáveis pelas tarefas da lista: o dono e
+ * todos com quem ela foi compartilhada. Devolve [{ _id, nome, nivel }].
+ */
+const listMembers = async (categoria) => {
+    await categoria.populate([
+        { path: 'user', select: 'nome' },
+        { path: 'compartilhamentos.user', select: 'nome' }
+    ]);
+
+    return [
+        { _id: categoria.user._id, nome: categoria.user.nome, nivel: 'dono' },
+        ...categoria.compartilhamentos
+            .filter(c => c.user) // usuário excluído
+            .map(c => ({ _id: c.user._id, nome: c.user.nome, nivel: c.nivel }))
+    ];
+};
+
+/**
+ * Confere se `userId` pode ser o responsável pelas tarefas da categoria.
+ * Devolve o ObjectId (ou null para "ninguém") e lança um ValidationError se não puder.
+ */
+const resolveAssignee = async (categoryId, userId) => {
+    if (!userId) return null;
+
+    const categoria = await Category.findById(categoryId).select('user compartilhamentos');
+    if (!categoria || !categoria.nivelDe(userId)) {
+        throw fieldError('responsavel', CODES.INVALIDO, 'O responsável precisa ser o dono da lista ou alguém com quem ela foi compartilhada.');
+    }
+    return new mongoose.Types.ObjectId(String(userId));
+};
+
+module.exports = {
+    NIVEIS,
+    taskAccessLevel,
+    hasAccess,
+    listMembers,
+    resolveAssignee
+};
@@ -0,0 +1,296 @@
+/**
+ * 🔎 CONSTRUTOR DE CONSULTAS DE TAREFAS
+ * =========================================
+ * * Transforma os parâmetros da URL (?prioridade=Alta&ordenar=-createdAt&pagina=2...)
+ * em um pipeline de aggregate do MongoDB. É usado tanto pela API (GET /api/tarefas)
+ * quanto pelas páginas de lista (/lista/:slug), para que as duas listagens
+ * filtrem e ordenem exatamente da mesma forma.
+ * * Filtros aceitos:
+ * - categoria=ID|slug|nome (vários separados por vírgula)
+ * - prioridade=Alta,Média
+ * - concluida=true|false
+ * - criadoDe / criadoAte / atualizadoDe / atualizadoAte (AAAA-MM-DD ou ISO)
+ * - vencendo=7d | atrasadas=true (ver utils/dueDate.js)
+ * - tags=urgente,orientador com tagsModo=qualquer (padrão: tem alguma) ou tagsModo=todas
+ * * Ordenação: ordenar=campo1,-campo2 ("-" = decrescente). Campos: titulo, prioridade,
+ * concluida, atrasada, createdAt, updatedAt, dataVencimento.
+ * * Paginação: pagina (começa em 1) e limite (máximo 100).
+ * * Parâmetros inválidos lançam um erro de validação (utils/validation.js) com o nome do parâmetro em `field`.
+ */
+
+const mongoose = require('mongoose');
+const { parse, isValid, startOfDay, endOfDay } = require('date-fns');
+const Category = require('../models/category');
+const { parseWindowInDays, dueWithinFilter, overdueFilter } = require('./dueDate');
+const { normalizeTags } = require('./tags');
+const { CODES, fieldError } = require('./validation');
+
+const PRIORIDADES = ['Baixa', 'Média', 'Alta'];
+const TAG_MODES = { qualquer: '$in', todas: '$all' };
+const MAX_LIMIT = 100;
+
+// Ordenação padrão das listas: pendentes, atrasadas, mais prioritárias e mais recentes primeiro
+const DEFAULT_SORT = { concluida: 1, atrasada: -1, priorityOrder: -1, createdAt: -1 };
+
+// Nome aceito em ?ordenar= → campo usado no $sort
+const SORT_FIELDS = {
+    titulo: 'titulo',
+    prioridade: 'priorityOrder',
+    concluida: 'concluida',
+    atrasada: 'atrasada',
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    dataVencimento: 'dataVencimento'
+};
+
+const splitList = (valor) => String(valor).split(',').map(v => v.trim()).filter(Boolean);
+
+// Datas do filtro: "AAAA-MM-DD" vira o início (De) ou o fim (Até) do dia
+const parseDateParam = (valor, nome, fimDoDia) => {
+    const data = String(valor).length === 10
+        ? parse(valor, 'yyyy-MM-dd', new Date())
+        : new Date(valor);
+
+    if (!isValid(data)) {
+        throw fieldError(nome, CODES.FORMATO, `Data inválida em ${nome}. Use o formato AAAA-MM-DD.`);
+    }
+    if (String(valor).length !== 10) return data;
+    return fimDoDia ? endOfDay(data) : startOfDay(data);
+};
+
+const parseBoolean = (valor, nome) => {
+    if (valor === 'true') return true;
+    if (valor === 'false') return false;
+    throw fieldError(nome, CODES.TIPO, `Valor inválido em ${nome}. Use true ou false.`);
+};
+
+/**
+ * Converte ?categoria= em uma lista de IDs de categoria visíveis no escopo.
+ */
+const resolveCategoryIds = async (valor, scope) => {
+    const valores = splitList(valor);
+    const ids = valores.filter(v => mongoose.isValidObjectId(v)).map(v => new mongoose.Types.ObjectId(v));
+
+    const categorias = await Category.find({
+        ...(scope.user ? { user: scope.user } : {}),
+        $or: [
+            { _id: { $in: ids } },
+            { slug: { $in: valores.map(v => Category.slugify(v)) } },
+            { nome: { $in: valores } }
+        ]
+    }).select('_id').lean();
+
+    return categorias.map(c => c._id);
+};
+
+/**
+ * Lê os parâmetros da URL e devolve { match, sort, page, limit }.
+ * - scope: o req.taskScope (filtro de dono) definido pelo middleware scopeTasksToUser
+ * - defaultLimit: itens por página quando ?limite= não for informado
+ * Lança um ValidationError com mensagem amigável quando algum parâmetro é inválido.
+ */
+const parseTaskQuery = async (query, { scope = {}, defaultLimit = 20 } = {}) => {
+    const match = { ...scope };
+    let sort = DEFAULT_SORT;
+
+    if (query.categoria) {
+        match.category = { $in: await resolveCategoryIds(query.categoria, scope) };
+    }
+
+    if (query.prioridade) {
+        const prioridades = splitList(query.prioridade);
+        const invalida = prioridades.find(p => !PRIORIDADES.includes(p));
+        if (invalida) {
+            throw fieldError('prioridade', CODES.ENUM, `Prioridade inválida: ${invalida}. Use: ${PRIORIDADES.join(', ')}.`);
+        }
+        match.prioridade = { $in: prioridades };
+    }
+
+    if (query.tags) {
+        const modo = query.tagsModo || 'qualquer';
+        if (!TAG_MODES[modo]) {
+            throw fieldError('tagsModo', CODES.ENUM, `Valor inválido em tagsModo. Use: ${Object.keys(TAG_MODES).join(' ou ')}.`);
+        }
+        const tags = normalizeTags(splitList(query.tags));
+        if (tags.length > 0) {
+            match.tags = { [TAG_MODES[modo]]: tags };
+        }
+    }
+
+    if (query.concluida !== undefined) {
+        match.concluida = parseBoolean(query.concluida, 'concluida');
+    }
+
+    [['createdAt', 'criado'], ['updatedAt', 'atualizado']].forEach(([campo, prefixo]) => {
+        const de = query[`${prefixo}De`];
+        const ate = query[`${prefixo}Ate`];
+        if (de || ate) {
+            match[campo] = {};
+            if (de) match[campo].$gte = parseDateParam(de, `${prefixo}De`, false);
+            if (ate) match[campo].$lte = parseDateParam(ate, `${prefixo}Ate`, true);
+        }
+    });
+
+    if (query.vencendo && query.atrasadas === 'true') {
+        throw fieldError('vencendo', CODES.INVALIDO, 'Use apenas um dos filtros: vencendo ou atrasadas.');
+    }
+
+    if (query.vencendo) {
+        const dias = parseWindowInDays(query.vencendo);
+        if (dias === null) {
+            throw fieldError('vencendo', CODES.FORMATO, 'Valor inválido para vencendo. Exemplo: ?vencendo=7d');
+        }
+        Object.assign(match, dueWithinFilter(dias));
+        sort = { dataVencimento: 1 };
+    }
+
+    if (query.atrasadas === 'true') {
+        Object.assign(match, overdueFilter());
+        sort = { dataVencimento: 1 };
+    }
+
+    if (query.ordenar) {
+        sort = {};
+        splitList(query.ordenar).forEach(item => {
+            const decrescente = item.startsWith('-');
+            const nome = item.replace(/^[-+]/, '');
+            if (!SORT_FIELDS[nome]) {
+                throw fieldError('ordenar', CODES.ENUM, `Não é possível ordenar por "${nome}". Use: ${Object.keys(SORT_FIELDS).join(', ')}.`);
+            }
+            sort[SORT_FIELDS[nome]] = decrescente ? -1 : 1;
+        });
+    }
+
+    // _id no fim deixa a ordem estável entre as páginas
+    sort = { ...sort, _id: sort._id || 1 };
+
+    const page = query.pagina === undefined ? 1 : Number(query.pagina);
+    const limit = query.limite === undefined ? defaultLimit : Number(query.limite);
+    if (!Number.isInteger(page) || page < 1) {
+        throw fieldError('pagina', CODES.FAIXA, 'O parâmetro pagina deve ser um número inteiro a partir de 1.');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw fieldError('limite', CODES.FAIXA, `O parâmetro limite deve ser um número inteiro entre 1 e ${MAX_LIMIT}.`);
+    }
+
+    return { match, sort, page, limit };
+};
+
+/**
+ * Monta o pipeline da listagem. Com `withUser`, traz os dados do autor em `user`
+ * e do responsável em `responsavel` (as páginas mostram os nomes).
+ * O resultado vem em { data: [...], total: [{ count }] }.
+ */
+const buildTaskListPipeline = ({ match, sort, page, limit }, { withUser = false } = {}) => [
+    { $match: match },
+    ...(withUser ? [
+        {
+            $lookup: {
+                from: 'users',
+                localField: 'user',
+                foreignField: '_id',
+                as: 'userDetails'
+            }
+        },
+        { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
+        // Só o necessário do autor (nunca o hash da senha)
+        {
+            $addFields: {
+                user: {
+                    $cond: [
+                        { $ifNull: ["$userDetails", false] },
+                        { _id: "$userDetails._id", nome: "$userDetails.nome" },
+                        null
+                    ]
+                }
+            }
+        },
+        {
+            $lookup: {
+                from: 'users',
+                localField: 'responsavel',
+                foreignField: '_id',
+                as: 'responsavelDetails'
+            }
+        },
+        {
+            $addFields: {
+                responsavel: {
+                    $cond: [
+                        { $gt: [{ $size: "$responsavelDetails" }, 0] },
+                        {
+                            _id: { $arrayElemAt: ["$responsavelDetails._id", 0] },
+                            nome: { $arrayElemAt: ["$responsavelDetails.nome", 0] }
+                        },
+                        null
+                    ]
+                }
+            }
+        },
+        { $project: { userDetails: 0, responsavelDetails: 0 } }
+    ] : []),
+    {
+        $addFields: {
+            priorityOrder: {
+                $switch: {
+                    branches: [
+                        { case: { $eq: ["$prioridade", "Alta"] }, then: 3 },
+                        { case: { $eq: ["$prioridade", "Média"] }, then: 2 },
+                        { case: { $eq: ["$prioridade", "Baixa"] }, then: 1 }
+                    ],
+                    default: 2
+                }
+            },
+            // Pendente, com vencimento e com o prazo já passado
+            atrasada: {
+                $and: [
+                    { $eq: ["$concluida", false] },
+                    { $ifNull: ["$dataVencimento", false] },
+                    { $lt: ["$dataVencimento", new Date()] }
+                ]
+            }
+        }
+    },
+    { $sort: sort },
+    {
+        $facet: {
+            data: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { priorityOrder: 0 } }],
+            total: [{ $count: 'count' }]
+        }
+    }
+];
+
+/**
+ * Executa a consulta e devolve { data, paginacao }, com os links de próxima/anterior
+ * montados a partir da URL atual (baseUrl + os mesmos parâmetros, trocando só a página).
+ */
+const runTaskQuery = async (Task, consulta, { baseUrl, query = {}, withUser = false }) => {
+    const [resultado] = await Task.aggregate(buildTaskListPipeline(consulta, { withUser }));
+    const total = resultado.total.length > 0 ? resultado.total[0].count : 0;
+    const totalPaginas = Math.max(1, Math.ceil(total / consulta.limit));
+
+    const linkPara = (pagina) => {
+        const params = new URLSearchParams(query);
+        params.set('pagina', pagina);
+        return `${baseUrl}?${params.toString()}`;
+    };
+
+    return {
+        data: resultado.data,
+        paginacao: {
+            total,
+            pagina: consulta.page,
+            limite: consulta.limit,
+            total_paginas: totalPaginas,
+            proxima: consulta.page < totalPaginas ? linkPara(consulta.page + 1) : null,
+            anterior: consulta.page > 1 ? linkPara(Math.min(consulta.page - 1, totalPaginas)) : null
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_SORT,
+    parseTaskQuery,
+    buildTaskListPipeline,
+    runTaskQuery
+};
@@ -0,0 +1,107 @@
+/**
+ * 🔐 AUTENTICAÇÃO EM DOIS FATORES (TOTP)
+ * =========================================
+ * * Códigos de 6 dígitos que mudam a cada 30 segundos (RFC 6238), os mesmos do
+ * Google Authenticator, Authy, 1Password etc. O segredo é gerado aqui, vai para o
+ * aplicativo do usuário pelo QR code (URL otpauth://) e fica guardado no User.
+ * * Também ficam aqui os códigos de recuperação: códigos de uso único para entrar
+ * quando o celular não está à mão. O banco guarda só o hash deles.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Passos aceitos antes e depois do atual, para tolerar relógios um pouco fora de hora
+const WINDOW = 1;
+const RECOVERY_CODES = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    return (bits.match(/.{1,5}/g) || [])
+        .map(grupo => BASE32_ALPHABET[parseInt(grupo.padEnd(5, '0'), 2)])
+        .join('');
+};
+
+const base32Decode = (texto) => {
+    const bits = String(texto).toUpperCase().replace(/[\s=]/g, '').split('')
+        .map(char => {
+            const valor = BASE32_ALPHABET.indexOf(char);
+            if (valor === -1) throw new Error('Segredo TOTP inválido.');
+            return valor.toString(2).padStart(5, '0');
+        })
+        .join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// Segredo novo, em base32 (160 bits, o tamanho recomendado para HMAC-SHA1)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226): código do contador `passo`
+const hotp = (segredo, passo) => {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(passo));
+    const hmac = crypto.createHmac('sha1', base32Decode(segredo)).update(contador).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const numero = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(numero).padStart(DIGITS, '0');
+};
+
+const currentStep = (agora = Date.now()) => Math.floor(agora / 1000 / STEP_SECONDS);
+
+/**
+ * Confere o código digitado. Devolve o passo (contador) em que ele bateu, ou null.
+ * Códigos de passos <= `ultimoPasso` são recusados: cada código vale uma única vez.
+ */
+const verifyTotp = (segredo, codigo, { ultimoPasso = -1, agora = Date.now() } = {}) => {
+    const digitado = String(codigo || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(digitado)) return null;
+
+    const atual = currentStep(agora);
+    for (let passo = atual - WINDOW; passo <= atual + WINDOW; passo++) {
+        if (passo <= ultimoPasso) continue;
+        const esperado = hotp(segredo, passo);
+        if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(digitado))) return passo;
+    }
+    return null;
+};
+
+/**
+ * URL que o aplicativo autenticador lê do QR code.
+ */
+const otpauthUrl = ({ segredo, conta, emissor }) => {
+    const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+    // encodeURIComponent (e não URLSearchParams): alguns aplicativos mostram o "+" no lugar do espaço
+    const params = Object.entries({ secret: segredo, issuer: emissor, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS })
+        .map(([chave, valor]) => `${chave}=${encodeURIComponent(valor)}`)
+        .join('&');
+    return `otpauth://totp/${rotulo}?${params}`;
+};
+
+// Códigos de recuperação são comparados sem hífen, espaços ou maiúsculas
+const hashRecoveryCode = (codigo) => crypto.createHash('sha256')
+    .update(String(codigo).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * Gera os códigos de recuperação. Devolve { codigos, hashes }: os códigos são
+ * mostrados uma única vez ao usuário; só os hashes vão para o banco.
+ */
+const generateRecoveryCodes = () => {
+    const codigos = Array.from({ length: RECOVERY_CODES }, () => {
+        const texto = crypto.randomBytes(5).toString('hex');
+        return `${texto.slice(0, 5)}-${texto.slice(5)}`;
+    });
+    return { codigos, hashes: codigos.map(hashRecoveryCode) };
+};
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    otpauthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
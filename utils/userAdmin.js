@@ -0,0 +1,183 @@
+/**
+ * 🛡️ ADMINISTRAÇÃO DE USUÁRIOS
+ * =========================================
+ * * Regras da área de administração (rotas /api/admin e página /admin):
+ * - busca de usuários com a contagem de tarefas de cada um;
+ * - o sistema nunca fica sem um admin ativo: o último não pode ser rebaixado,
+ *   desativado nem excluído;
+ * - ao excluir um usuário, as tarefas dele são transferidas para outra pessoa
+ *   (junto com as listas) ou excluídas definitivamente.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Task = require('../models/task');
+const Category = require('../models/category');
+const AuthToken = require('../models/authToken');
+const AccessToken = require('../models/accessToken');
+const { CODES, fieldError } = require('./validation');
+
+const PAGE_SIZE = 50;
+
+const escapeRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Tarefas de cada usuário: { "<id>": { total, pendentes, concluidas, lixeira } }.
+ * `total` não inclui as tarefas da lixeira.
+ */
+const taskCountsByUser = async (userIds) => {
+    const ids = userIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const [ativas, naLixeira] = await Promise.all([
+        Task.aggregate([
+            { $match: { user: { $in: ids } } },
+            {
+                $group: {
+                    _id: '$user',
+                    total: { $sum: 1 },
+                    concluidas: { $sum: { $cond: ['$concluida', 1, 0] } }
+                }
+            }
+        ]),
+        Task.aggregate([
+            { $match: { user: { $in: ids }, excluidaEm: { $ne: null } } },
+            { $group: { _id: '$user', total: { $sum: 1 } } }
+        ])
+    ]);
+
+    return Object.fromEntries(ids.map(id => {
+        const ativa = ativas.find(c => c._id.equals(id)) || { total: 0, concluidas: 0 };
+        const lixeira = naLixeira.find(c => c._id.equals(id));
+        return [String(id), {
+            total: ativa.total,
+            pendentes: ativa.total - ativa.concluidas,
+            concluidas: ativa.concluidas,
+            lixeira: lixeira ? lixeira.total : 0
+        }];
+    }));
+};
+
+/**
+ * Usuários cujo nome ou e-mail contém `busca`, em ordem alfabética, com as contagens
+ * de tarefas em `tarefas`. Devolve { usuarios, total, pagina, paginas }.
+ */
+const listUsers = async ({ busca = '', pagina = 1 } = {}) => {
+    const filtro = {};
+    if (busca) {
+        const termo = new RegExp(escapeRegex(busca), 'i');
+        filtro.$or = [{ nome: termo }, { email: termo }];
+    }
+
+    const total = await User.countDocuments(filtro);
+    const paginas = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const atual = Math.min(Math.max(1, pagina), paginas);
+
+    const usuarios = await User.find(filtro)
+        .select('-password')
+        .sort({ nome: 1 })
+        .skip((atual - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE)
+        .lean();
+
+    const contagens = await taskCountsByUser(usuarios.map(u => u._id));
+    usuarios.forEach(u => { u.tarefas = contagens[String(u._id)]; });
+
+    return { usuarios, total, pagina: atual, paginas };
+};
+
+// Sobra algum admin ativo além de `userId`?
+const hasOtherActiveAdmin = async (userId) => {
+    const outros = await User.countDocuments({ _id: { $ne: userId }, role: 'admin', ativo: { $ne: false } });
+    return outros > 0;
+};
+
+/**
+ * Junta os compartilhamentos de `categoria` aos de `existente` (sem o novo dono).
+ * Quem já tinha acesso às duas listas fica com o nível mais alto.
+ */
+const mergeShares = (existente, categoria, destino) => {
+    categoria.compartilhamentos.forEach(({ user, nivel }) => {
+        if (user.equals(destino)) return;
+
+        const atual = existente.compartilhamentos.find(c => c.user.equals(user));
+        if (!atual) {
+            existente.compartilhamentos.push({ user, nivel });
+        } else if (Category.NIVEIS_COMPARTILHAMENTO.indexOf(nivel) > Category.NIVEIS_COMPARTILHAMENTO.indexOf(atual.nivel)) {
+            atual.nivel = nivel;
+        }
+    });
+};
+
+/**
+ * Passa as listas e as tarefas (inclusive as da lixeira) de `origem` para `destino`.
+ * Listas com o mesmo slug de uma lista do destino são unidas a ela (tarefas e
+ * compartilhamentos); as demais mudam de dono.
+ */
+const transferTasks = async (origem, destino) => {
+    const categorias = await Category.find({ user: origem });
+
+    for (const categoria of categorias) {
+        const existente = await Category.findOne({ user: destino, slug: categoria.slug });
+
+        if (existente) {
+            mergeShares(existente, categoria, destino);
+            await existente.save();
+            await Task.updateMany({ category: categoria._id }, { $set: { category: existente._id } });
+            await categoria.deleteOne();
+        } else {
+            categoria.user = destino;
+            // O novo dono não precisa constar entre as pessoas com quem a lista é compartilhada
+            categoria.compartilhamentos = categoria.compartilhamentos.filter(c => !c.user.equals(destino));
+            await categoria.save();
+        }
+    }
+
+    const resultado = await Task.updateMany({ user: origem }, { $set: { user: destino } });
+    return resultado.modifiedCount;
+};
+
+/**
+ * Exclui o usuário. `tarefas` é 'transferir' (para o usuário `para`) ou 'excluir'.
+ * Em ambos os casos ele deixa de ser responsável por tarefas, sai das listas
+ * compartilhadas com ele e os tokens dele são apagados.
+ * Devolve { transferidas } ou { excluidas }.
+ */
+const deleteUser = async (usuario, { tarefas, para }) => {
+    let resultado;
+
+    if (tarefas === 'transferir') {
+        if (!para) {
+            throw fieldError('para', CODES.OBRIGATORIO, 'Informe para quem as tarefas serão transferidas.');
+        }
+        const destino = await User.findOne(mongoose.isValidObjectId(para) ? { _id: para } : { email: String(para).toLowerCase() });
+        if (!destino) {
+            throw fieldError('para', CODES.INVALIDO, 'Usuário de destino não encontrado.');
+        }
+        if (destino._id.equals(usuario._id)) {
+            throw fieldError('para', CODES.INVALIDO, 'Escolha outro usuário para receber as tarefas.');
+        }
+        resultado = { transferidas: await transferTasks(usuario._id, destino._id) };
+    } else {
+        resultado = { excluidas: await Task.purge({ user: usuario._id }) };
+        await Category.deleteMany({ user: usuario._id });
+    }
+
+    await Task.updateMany({ responsavel: usuario._id }, { $set: { responsavel: null } });
+    await Category.updateMany(
+        { 'compartilhamentos.user': usuario._id },
+        { $pull: { compartilhamentos: { user: usuario._id } } }
+    );
+    // Links enviados por e-mail e tokens da API deixam de valer junto com a conta
+    await AuthToken.deleteMany({ user: usuario._id });
+    await AccessToken.deleteMany({ user: usuario._id });
+    await usuario.deleteOne();
+
+    return resultado;
+};
+
+module.exports = {
+    PAGE_SIZE,
+    taskCountsByUser,
+    listUsers,
+    hasOtherActiveAdmin,
+    deleteUser
+};
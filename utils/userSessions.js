@@ -0,0 +1,29 @@
+/**
+ * 🔑 SESSÕES DOS USUÁRIOS
+ * =========================================
+ * * As sessões ficam no MongoDB (connect-mongo, ver index.js), com os dados
+ * gravados como texto JSON. Quando um admin muda o papel de alguém, desativa ou
+ * exclui a conta, as sessões abertas dessa pessoa são encerradas aqui, para que
+ * a mudança valha na hora (e não só no próximo login).
+ */
+
+const mongoose = require('mongoose');
+
+// Mesmo nome usado no MongoStore.create do index.js
+const SESSIONS_COLLECTION = 'sessions';
+
+/**
+ * Apaga todas as sessões do usuário. Devolve quantas foram encerradas.
+ */
+const endUserSessions = async (userId) => {
+    // O ID é um ObjectId (só hexadecimal), então pode ir direto na expressão regular
+    const id = String(new mongoose.Types.ObjectId(String(userId)));
+    const resultado = await mongoose.connection.collection(SESSIONS_COLLECTION)
+        .deleteMany({ session: { $regex: `"userId":"${id}"` } });
+    return resultado.deletedCount;
+};
+
+module.exports = {
+    SESSIONS_COLLECTION,
+    endUserSessions
+};
@@ -0,0 +1,355 @@
+/**
+ * ✅ VALIDAÇÃO DE REQUISIÇÕES
+ * =========================================
+ * * Cada rota declara o que aceita em um schema simples, por exemplo:
+ *   { titulo: { tipo: 'string', obrigatorio: true, max: 100 }, concluida: { tipo: 'boolean' } }
+ * e o middleware `validate({ body, query, params })` confere tudo antes da rota rodar:
+ * - converte os tipos ("true" → true, "20" → 20) e remove espaços das pontas dos textos;
+ * - confere obrigatórios, tamanhos, faixas, formatos e valores permitidos (enum);
+ * - no corpo, deixa em req.body APENAS os campos declarados. Assim um cliente não
+ *   consegue gravar user, _id ou createdAt, nem mandar um objeto no lugar de um texto.
+ * * Regras aceitas: tipo (string, number, boolean, date, objectId, array, object),
+ * obrigatorio, nulo (aceita null / vazio), padrao, enum, min, max, inteiro, formato (RegExp),
+ * trim (padrão true), separador (array que também aceita texto), itens (regra de cada
+ * elemento do array), campos (schema de um objeto) e mensagens ({ CODIGO: 'texto' }).
+ * * Todo erro de validação — do schema, do Mongoose ou dos utilitários — sai no mesmo formato:
+ *   { success: false, message, errors: [{ code, field, message }] }
+ * `message` repete o primeiro erro, que é o texto que o frontend mostra.
+ */
+
+const mongoose = require('mongoose');
+
+// Códigos de erro (o `code` de cada item de `errors`)
+const CODES = {
+    OBRIGATORIO: 'CAMPO_OBRIGATORIO',
+    TIPO: 'TIPO_INVALIDO',
+    ENUM: 'VALOR_NAO_PERMITIDO',
+    TAMANHO: 'TAMANHO_INVALIDO',
+    FAIXA: 'FORA_DO_INTERVALO',
+    FORMATO: 'FORMATO_INVALIDO',
+    DUPLICADO: 'VALOR_DUPLICADO',
+    INVALIDO: 'VALOR_INVALIDO',
+    REQUISICAO: 'REQUISICAO_INVALIDA',
+    VERSAO: 'VERSAO_DESATUALIZADA',
+    INTERNO: 'ERRO_INTERNO'
+};
+
+const TYPE_NAMES = {
+    string: 'um texto',
+    number: 'um número',
+    boolean: 'verdadeiro ou falso (true/false)',
+    date: 'uma data válida',
+    objectId: 'um ID válido',
+    array: 'uma lista',
+    object: 'um objeto'
+};
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const isPlainObject = (valor) => valor !== null && typeof valor === 'object' && !Array.isArray(valor);
+
+/**
+ * Erro com a lista de problemas no formato da API. As rotas lançam (ou recebem)
+ * este erro e respondem com sendError.
+ */
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors[0].message);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Erro de regra conhecido, lançado de propósito pelos utilitários (ex: data ou regra de
+ * recorrência inválida, categoria que não existe). A mensagem é para o usuário e sai
+ * como 400; qualquer outro Error é uma falha interna (ver sendError).
+ */
+class RuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleError';
+    }
+}
+
+// Atalho para um erro em um único campo
+const fieldError = (field, code, message) => new ValidationError([{ code, field, message }]);
+
+// Mensagens padrão, usadas tanto pelo schema da rota quanto na conversão dos erros do Mongoose
+const MESSAGES = {
+    [CODES.OBRIGATORIO]: (campo) => `O campo "${campo}" é obrigatório.`,
+    [CODES.ENUM]: (campo, permitidos) => `Valor inválido em "${campo}". Use: ${permitidos.join(', ')}.`,
+    [CODES.FORMATO]: (campo) => `Formato inválido em "${campo}".`,
+    [CODES.INVALIDO]: (campo) => `Valor inválido em "${campo}".`
+};
+
+// Converte o valor recebido para o tipo da regra. undefined = não deu para converter
+const COERCE = {
+    string: (v) => (typeof v === 'string' || typeof v === 'number' ? String(v) : undefined),
+    number: (v) => {
+        if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+        if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+        return undefined;
+    },
+    boolean: (v) => {
+        if (v === true || v === 'true') return true;
+        if (v === false || v === 'false') return false;
+        return undefined;
+    },
+    date: (v) => {
+        if (typeof v !== 'string' && typeof v !== 'number' && !(v instanceof Date)) return undefined;
+        const data = new Date(v);
+        return isNaN(data.getTime()) ? undefined : data;
+    },
+    objectId: (v) => (typeof v === 'string' && OBJECT_ID.test(v) ? v : undefined),
+    array: (v) => (Array.isArray(v) ? v : undefined),
+    object: (v) => (isPlainObject(v) ? v : undefined)
+};
+
+/**
+ * Valida um valor contra uma regra. Devolve { valor } quando está tudo certo ou
+ * { ausente: true } quando o campo não veio; os problemas vão para `errors`.
+ */
+const checkValue = (regra, valorRecebido, campo, errors) => {
+    const erro = (code, mensagem) => {
+        errors.push({ code, field: campo, message: (regra.mensagens && regra.mensagens[code]) || mensagem });
+        return {};
+    };
+
+    let valor = valorRecebido;
+    if (regra.tipo === 'string' && typeof valor === 'string' && regra.trim !== false) {
+        valor = valor.trim();
+    }
+
+    // null, ou texto vazio em campo que não é texto, contam como "sem valor"
+    const vazio = valor === null || (valor === '' && regra.tipo !== 'string');
+    if (valor === undefined || vazio || (valor === '' && regra.obrigatorio)) {
+        if (regra.obrigatorio) return erro(CODES.OBRIGATORIO, MESSAGES[CODES.OBRIGATORIO](campo));
+        if (vazio && regra.nulo) return { valor: null };
+        if ('padrao' in regra) return { valor: regra.padrao };
+        return { ausente: true };
+    }
+
+    if (regra.tipo === 'array' && regra.separador && typeof valor === 'string') {
+        valor = valor.split(regra.separador).map(v => v.trim()).filter(Boolean);
+    }
+
+    valor = COERCE[regra.tipo](valor);
+    if (valor === undefined) {
+        return erro(CODES.TIPO, `O campo "${campo}" deve ser ${TYPE_NAMES[regra.tipo]}.`);
+    }
+
+    if (regra.tipo === 'number' && regra.inteiro && !Number.isInteger(valor)) {
+        return erro(CODES.TIPO, `O campo "${campo}" deve ser um número inteiro.`);
+    }
+
+    if (regra.enum && !regra.enum.includes(valor)) {
+        return erro(CODES.ENUM, MESSAGES[CODES.ENUM](campo, regra.enum));
+    }
+
+    // min/max: caracteres (texto), itens (lista) ou o próprio valor (número)
+    const medida = regra.tipo === 'number' ? valor : valor.length;
+    if (medida !== undefined && (regra.min !== undefined || regra.max !== undefined)) {
+        const abaixo = regra.min !== undefined && medida < regra.min;
+        const acima = regra.max !== undefined && medida > regra.max;
+        if (abaixo || acima) {
+            if (regra.tipo === 'number') {
+                const faixa = regra.min !== undefined && regra.max !== undefined
+                    ? `entre ${regra.min} e ${regra.max}`
+                    : abaixo ? `no mínimo ${regra.min}` : `no máximo ${regra.max}`;
+                return erro(CODES.FAIXA, `O campo "${campo}" deve ser ${faixa}.`);
+            }
+            const unidade = regra.tipo === 'string' ? 'caractere(s)' : 'item(ns)';
+            return erro(CODES.TAMANHO, abaixo
+                ? `O campo "${campo}" deve ter no mínimo ${regra.min} ${unidade}.`
+                : `O campo "${campo}" deve ter no máximo ${regra.max} ${unidade}.`);
+        }
+    }
+
+    if (regra.formato && valor !== '' && !regra.formato.test(valor)) {
+        return erro(CODES.FORMATO, MESSAGES[CODES.FORMATO](campo));
+    }
+
+    if (regra.tipo === 'array' && regra.itens) {
+        const itens = [];
+        valor.forEach((item, index) => {
+            const resultado = checkValue(regra.itens, item, `${campo}.${index}`, errors);
+            if ('valor' in resultado) itens.push(resultado.valor);
+        });
+        valor = itens;
+    }
+
+    if (regra.tipo === 'object' && regra.campos) {
+        valor = validateInput(regra.campos, valor, `${campo}.`, errors);
+    }
+
+    return { valor };
+};
+
+/**
+ * Valida um objeto inteiro contra o schema e devolve só os campos declarados, já convertidos.
+ * Os problemas são acumulados em `errors` (todos de uma vez, não só o primeiro).
+ */
+const validateInput = (schema, entrada, prefixo = '', errors = []) => {
+    const origem = isPlainObject(entrada) ? entrada : {};
+    const dados = {};
+
+    Object.entries(schema).forEach(([nome, regra]) => {
+        const resultado = checkValue(regra, origem[nome], `${prefixo}${nome}`, errors);
+        if ('valor' in resultado) dados[nome] = resultado.valor;
+    });
+
+    return dados;
+};
+
+/**
+ * Middleware: valida req.params, req.query e req.body com os schemas informados.
+ * - body: substituído pelos campos validados (os demais são descartados)
+ * - query: os parâmetros declarados são convertidos; os outros (ex: ?todos=) continuam lá
+ * - params: apenas conferidos
+ * Em caso de erro responde 400 no formato padrão, ou chama onError(req, res, errors)
+ * (as rotas de formulário usam isso para renderizar a página com a mensagem).
+ */
+const validate = (schemas, { onError } = {}) => (req, res, next) => {
+    const errors = [];
+
+    if (schemas.params) {
+        validateInput(schemas.params, req.params, '', errors);
+    }
+    if (schemas.query) {
+        req.query = { ...req.query, ...validateInput(schemas.query, req.query, '', errors) };
+    }
+    if (schemas.body) {
+        if (!isPlainObject(req.body)) {
+            errors.push({ code: CODES.TIPO, field: null, message: 'O corpo da requisição deve ser um objeto JSON.' });
+        } else {
+            req.body = validateInput(schemas.body, req.body, '', errors);
+        }
+    }
+
+    if (errors.length > 0) {
+        return onError ? onError(req, res, errors) : sendError(res, new ValidationError(errors));
+    }
+    next();
+};
+
+// Os textos padrão do Mongoose são em inglês; só as mensagens escritas nos models são mantidas.
+// Os modelos ("Path `{PATH}` is required.") viram expressões para reconhecer o texto já formatado
+const DEFAULT_MONGOOSE_MESSAGES = Object.values(mongoose.Error.messages)
+    .filter(isPlainObject)
+    .flatMap(grupo => Object.values(grupo))
+    .filter(modelo => typeof modelo === 'string')
+    .map(modelo => new RegExp(`^${modelo.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[A-Z]+\}/g, '.*')}$`));
+
+const isDefaultMongooseMessage = (mensagem) => DEFAULT_MONGOOSE_MESSAGES.some(regex => regex.test(mensagem));
+
+const MONGOOSE_KINDS = {
+    required: CODES.OBRIGATORIO,
+    enum: CODES.ENUM,
+    minlength: CODES.TAMANHO,
+    maxlength: CODES.TAMANHO,
+    regexp: CODES.FORMATO,
+    min: CODES.FAIXA,
+    max: CODES.FAIXA
+};
+
+// `caminho` é a chave em error.errors (ex: "itens.0.texto"); e.path teria só "texto"
+const fromMongooseError = (e, caminho = e.path) => {
+    if (e instanceof mongoose.Error.CastError) {
+        return { code: CODES.TIPO, field: caminho, message: MESSAGES[CODES.INVALIDO](caminho) };
+    }
+
+    const code = MONGOOSE_KINDS[e.kind] || CODES.INVALIDO;
+    const props = e.properties || {};
+    if (!isDefaultMongooseMessage(e.message)) {
+        return { code, field: caminho, message: e.message };
+    }
+
+    const mensagens = {
+        [CODES.OBRIGATORIO]: () => MESSAGES[CODES.OBRIGATORIO](caminho),
+        [CODES.ENUM]: () => MESSAGES[CODES.ENUM](caminho, props.enumValues || []),
+        [CODES.TAMANHO]: () => `O campo "${caminho}" deve ter ${e.kind === 'minlength' ? `no mínimo ${props.minlength}` : `no máximo ${props.maxlength}`} caractere(s).`,
+        [CODES.FAIXA]: () => `O campo "${caminho}" deve ser ${e.kind === 'min' ? `no mínimo ${props.min}` : `no máximo ${props.max}`}.`,
+        [CODES.FORMATO]: () => MESSAGES[CODES.FORMATO](caminho)
+    };
+    return { code, field: caminho, message: (mensagens[code] || (() => MESSAGES[CODES.INVALIDO](caminho)))() };
+};
+
+/**
+ * Lista de erros no formato da API para erros de validação conhecidos
+ * (ValidationError daqui, validação/conversão do Mongoose, chave única duplicada).
+ * Devolve null para qualquer outro erro.
+ */
+const toErrorList = (error) => {
+    if (error instanceof ValidationError) return error.errors;
+    if (error instanceof RuleError) return [{ code: CODES.INVALIDO, field: null, message: error.message }];
+    if (error instanceof mongoose.Error.ValidationError) {
+        return Object.entries(error.errors).map(([caminho, e]) => fromMongooseError(e, caminho));
+    }
+    if (error instanceof mongoose.Error.CastError) return [fromMongooseError(error)];
+    if (error && error.code === 11000) {
+        const campo = Object.keys(error.keyValue || {})[0] || null;
+        return [{ code: CODES.DUPLICADO, field: campo, message: `Já existe um registro com este valor em "${campo}".` }];
+    }
+    return null;
+};
+
+const INTERNAL_ERROR_MESSAGE = 'Erro interno do servidor. Tente novamente em instantes.';
+
+// Texto do erro para relatórios item a item (ex: operações em lote). Falhas internas
+// vão para o log e aparecem só com a mensagem genérica.
+const errorMessage = (error) => {
+    const errors = toErrorList(error);
+    if (errors) return errors[0].message;
+    console.error('💥 Erro interno:', error);
+    return INTERNAL_ERROR_MESSAGE;
+};
+
+/**
+ * Responde o erro no formato padrão. Erros de validação e de regra (ValidationError,
+ * fieldError, validação do Mongoose) são 400; valor duplicado (CODES.DUPLICADO, como
+ * um slug que já existe) é 409. Qualquer outro erro é uma falha interna
+ * (banco, disco...): vai para o log e o cliente recebe só uma mensagem genérica, com
+ * `status` (500 por padrão).
+ */
+const sendError = (res, error, status = 500) => {
+    const errors = toErrorList(error);
+    if (errors) {
+        const conflito = errors.some(e => e.code === CODES.DUPLICADO);
+        return res.status(conflito ? 409 : 400).json({ success: false, message: errors[0].message, errors });
+    }
+
+    console.error('💥 Erro interno:', error);
+    const message = INTERNAL_ERROR_MESSAGE;
+    return res.status(status).json({
+        success: false,
+        message,
+        errors: [{ code: CODES.INTERNO, field: null, message }]
+    });
+};
+
+/**
+ * Executa fn e, se ela lançar um RuleError (ex: parseDueDate, normalizeRecurrence),
+ * transforma-o em erro de validação do campo informado. Os demais erros seguem como estão.
+ */
+const withField = async (campo, fn) => {
+    try {
+        return await fn();
+    } catch (error) {
+        if (error instanceof RuleError) throw fieldError(campo, CODES.INVALIDO, error.message);
+        throw error;
+    }
+};
+
+module.exports = {
+    CODES,
+    ValidationError,
+    RuleError,
+    fieldError,
+    validateInput,
+    validate,
+    toErrorList,
+    errorMessage,
+    sendError,
+    withField
+};